@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+import { runCli } from './src/cli.js';
+
+// `runcloud-mcp call <tool> ...`; see src/cli.js
+runCli(process.argv.slice(2))
+  .then((status) => {
+    // `serve` keeps running and returns no status
+    if (status !== null) process.exitCode = status;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
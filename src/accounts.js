@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+
+const DEFAULT_BASE_URL = 'https://manage.runcloud.io/api/v2';
+
+function addAccount(accounts, name, { apiKey, apiSecret, baseUrl, label }, source) {
+  if (!apiKey || !apiSecret) {
+    throw new Error(`Account "${name}" (${source}) needs both an API key and an API secret`);
+  }
+  accounts.set(name, {
+    name,
+    label: label || name,
+    apiKey,
+    apiSecret,
+    baseUrl: baseUrl || DEFAULT_BASE_URL,
+    source
+  });
+}
+
+// client-a -> RUNCLOUD_ACCOUNT_CLIENT_A
+function envPrefix(name) {
+  return `RUNCLOUD_ACCOUNT_${name.toUpperCase().replace(/\W/g, '_')}`;
+}
+
+// Accounts file (RUNCLOUD_ACCOUNTS_FILE):
+// { "default": "agency", "accounts": { "agency": { "apiKey": "...", "apiSecret": "...", "label": "...", "baseUrl": "..." } } }
+function loadAccountsFile(accounts, file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read accounts file ${file}: ${error.message}`);
+  }
+  for (const [name, account] of Object.entries(config.accounts || {})) {
+    addAccount(accounts, name, account, file);
+  }
+  return config.default;
+}
+
+// Collect RunCloud accounts (profiles) from, in increasing precedence:
+//   1. `profiles` of the config file (see config.js); a profile's key or
+//      secret can be left out of the file and given as
+//      RUNCLOUD_ACCOUNT_<NAME>_API_KEY / _API_SECRET instead
+//   2. RUNCLOUD_API_KEY / RUNCLOUD_API_SECRET / RUNCLOUD_BASE_URL - account "default"
+//   3. RUNCLOUD_ACCOUNTS_FILE - JSON file with named accounts
+//   4. RUNCLOUD_ACCOUNT_<NAME>_API_KEY / _API_SECRET / _BASE_URL / _LABEL - account "<name>"
+export function loadAccounts(env = process.env, { profiles = {}, defaultProfile, source = 'config' } = {}) {
+  const accounts = new Map();
+  let defaultAccount = env.RUNCLOUD_DEFAULT_ACCOUNT;
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    const prefix = envPrefix(name);
+    addAccount(accounts, name, {
+      ...profile,
+      apiKey: profile.apiKey || env[`${prefix}_API_KEY`],
+      apiSecret: profile.apiSecret || env[`${prefix}_API_SECRET`],
+      baseUrl: profile.baseUrl || env.RUNCLOUD_BASE_URL
+    }, source);
+  }
+
+  if (env.RUNCLOUD_API_KEY || env.RUNCLOUD_API_SECRET) {
+    addAccount(accounts, 'default', {
+      apiKey: env.RUNCLOUD_API_KEY,
+      apiSecret: env.RUNCLOUD_API_SECRET,
+      baseUrl: env.RUNCLOUD_BASE_URL
+    }, 'env');
+  }
+
+  if (env.RUNCLOUD_ACCOUNTS_FILE) {
+    const fileDefault = loadAccountsFile(accounts, env.RUNCLOUD_ACCOUNTS_FILE);
+    defaultAccount = defaultAccount || fileDefault;
+  }
+
+  for (const key of Object.keys(env)) {
+    const match = key.match(/^RUNCLOUD_ACCOUNT_(\w+?)_API_KEY$/);
+    if (!match) continue;
+    const prefix = `RUNCLOUD_ACCOUNT_${match[1]}`;
+    // Settings not given here are kept from the profile with this prefix
+    // (RUNCLOUD_ACCOUNT_CLIENT_A_* belongs to profile client-a)
+    const name = [...accounts.keys()].find((existing) => envPrefix(existing) === prefix) || match[1].toLowerCase();
+    const profile = accounts.get(name) || {};
+    addAccount(accounts, name, {
+      apiKey: env[key],
+      apiSecret: env[`${prefix}_API_SECRET`] || profile.apiSecret,
+      baseUrl: env[`${prefix}_BASE_URL`] || profile.baseUrl || env.RUNCLOUD_BASE_URL,
+      label: env[`${prefix}_LABEL`] || profile.label
+    }, 'env');
+  }
+
+  defaultAccount = defaultAccount || defaultProfile;
+  if (!defaultAccount) {
+    defaultAccount = accounts.has('default') ? 'default' : accounts.keys().next().value;
+  }
+  if (accounts.size && !accounts.has(defaultAccount)) {
+    throw new Error(`Default account "${defaultAccount}" is not configured`);
+  }
+
+  return { accounts, defaultAccount };
+}
+
+// Accounts for replaying recorded fixtures (see fixtures.js) when none are
+// configured: replay sends nothing, so placeholder credentials will do
+export function loadReplayAccounts(names, env = process.env) {
+  const accounts = new Map();
+  for (const name of names) {
+    addAccount(accounts, name, { apiKey: 'replay', apiSecret: 'replay', baseUrl: env.RUNCLOUD_BASE_URL }, 'fixtures');
+  }
+  let defaultAccount = env.RUNCLOUD_DEFAULT_ACCOUNT || (accounts.has('default') ? 'default' : names[0]);
+  if (accounts.size && !accounts.has(defaultAccount)) {
+    throw new Error(`Default account "${defaultAccount}" has no recorded fixtures`);
+  }
+  return { accounts, defaultAccount };
+}
@@ -0,0 +1,113 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getConfig } from './config.js';
+
+// Short description of a tool result for the audit log
+export function summarizeResult(data) {
+  if (Array.isArray(data)) return { items: data.length };
+  if (!data || typeof data !== 'object') return data === undefined ? null : { value: String(data).slice(0, 200) };
+  if (Array.isArray(data.data)) {
+    const pagination = data.meta && data.meta.pagination;
+    return { items: data.data.length, total: pagination ? pagination.total : data.data.length };
+  }
+  const summary = {};
+  for (const key of ['id', 'name', 'username', 'status', 'message']) {
+    if (data[key] !== undefined) summary[key] = data[key];
+  }
+  return Object.keys(summary).length ? summary : { keys: Object.keys(data).slice(0, 10) };
+}
+
+// Append-only JSONL log of tool calls. The active file is rotated to
+// `<file>.1`, `<file>.2`, ... once it grows past maxSize.
+export class AuditLog {
+  constructor({ file, maxSize = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+    this.file = file;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    } catch (error) {
+      console.error(`[Audit] Audit log disabled, cannot create ${path.dirname(this.file)}: ${error.message}`);
+      this.file = null;
+    }
+  }
+
+  get enabled() {
+    return Boolean(this.file);
+  }
+
+  rotate() {
+    let size = 0;
+    try {
+      size = fs.statSync(this.file).size;
+    } catch {
+      return;
+    }
+    if (size < this.maxSize) return;
+
+    for (let index = this.maxFiles - 1; index >= 1; index -= 1) {
+      const from = index === 1 ? this.file : `${this.file}.${index - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${index}`);
+    }
+    if (this.maxFiles < 2) fs.rmSync(this.file, { force: true });
+  }
+
+  record(entry) {
+    if (!this.enabled) return;
+    try {
+      this.rotate();
+      fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      console.error(`[Audit] Could not write audit log ${this.file}: ${error.message}`);
+    }
+  }
+
+  // Newest entries first, across the active and rotated files
+  query({ tool, serverId, webappId, account, outcome, since, limit = 50 } = {}) {
+    if (!this.enabled) return [];
+    const sinceTime = since ? Date.parse(since) : null;
+    const matches = (entry) =>
+      (!tool || entry.tool === tool) &&
+      (serverId === undefined || (entry.args && entry.args.serverId === serverId)) &&
+      (webappId === undefined || (entry.args && entry.args.webappId === webappId)) &&
+      (!account || entry.account === account) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!sinceTime || Date.parse(entry.timestamp) >= sinceTime);
+
+    const results = [];
+    const files = [this.file];
+    for (let index = 1; index < this.maxFiles; index += 1) files.push(`${this.file}.${index}`);
+
+    for (const file of files) {
+      let lines;
+      try {
+        lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+      } catch {
+        continue;
+      }
+      for (let index = lines.length - 1; index >= 0; index -= 1) {
+        let entry;
+        try {
+          entry = JSON.parse(lines[index]);
+        } catch {
+          continue;
+        }
+        if (matches(entry)) results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  }
+}
+
+let auditLog;
+
+// Audit log of this process, as configured by `audit` (RUNCLOUD_AUDIT_LOG)
+export function getAuditLog() {
+  if (!auditLog) {
+    const { enabled, file, maxSize, maxFiles } = getConfig().audit;
+    auditLog = new AuditLog({ file: enabled ? file : null, maxSize, maxFiles });
+  }
+  return auditLog;
+}
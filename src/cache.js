@@ -0,0 +1,85 @@
+import fs from 'node:fs';
+
+function isWithin(path, root) {
+  return path === root || path.startsWith(root.endsWith('/') ? root : `${root}/`);
+}
+
+// In-memory TTL cache for RunCloud GET responses, optionally persisted to a
+// JSON file so static data survives restarts. Entries are scoped per account.
+export class ResponseCache {
+  constructor({ enabled = true, file = null } = {}) {
+    this.enabled = enabled;
+    this.file = file;
+    this.entries = new Map();
+    if (this.enabled && this.file) this.load();
+  }
+
+  static key(account, { method, url, params }) {
+    const query = params
+      ? Object.keys(params).sort().map((name) => `${name}=${params[name]}`).join('&')
+      : '';
+    return `${account} ${method.toUpperCase()} ${url}${query ? `?${query}` : ''}`;
+  }
+
+  get(account, request) {
+    if (!this.enabled) return undefined;
+    const key = ResponseCache.key(account, request);
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.data;
+  }
+
+  set(account, request, data, ttlSeconds) {
+    if (!this.enabled) return;
+    this.entries.set(ResponseCache.key(account, request), {
+      account,
+      path: request.url,
+      data,
+      expiresAt: Date.now() + ttlSeconds * 1000
+    });
+    this.save();
+  }
+
+  // Drop cached responses a mutation of `path` may have changed: anything
+  // under the mutated resource's parent (/servers/1/php/cli invalidates
+  // /servers/1/php/version) and any ancestor listing of it.
+  invalidate(account, path) {
+    const parent = path.replace(/\/[^/]+\/?$/, '') || '/';
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.account !== account) continue;
+      if (isWithin(entry.path, parent) || isWithin(path, entry.path)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed) this.save();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(stored)) {
+        if (entry.expiresAt > now) this.entries.set(key, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Cache] Ignoring unreadable cache file ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    try {
+      fs.writeFileSync(this.file, JSON.stringify(Object.fromEntries(this.entries)));
+    } catch (error) {
+      console.error(`[Cache] Could not write cache file ${this.file}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,260 @@
+// Command line access to the tools, for scripts and CI:
+//
+//   runcloud-mcp call list_webapps --server prod-1 --format table
+//
+// Every registered tool is a `call` subcommand whose flags come from its
+// inputSchema. Calls go through the same server object as MCP requests, so
+// accounts, read-only mode, tool filters, confirmation and the audit log
+// behave the same way.
+
+import { getConfig } from './config.js';
+import { RunCloudMCPServer } from './server.js';
+
+const USAGE = `Usage: runcloud-mcp <command>
+
+Commands:
+  serve                  Start the MCP server (stdio, or HTTP with RUNCLOUD_MCP_TRANSPORT=http)
+  tools                  List the available tools by category
+  call <tool> [flags]    Run a tool and print its result
+  call <tool> --help     Show the flags of a tool
+
+Configuration is read from the config file, the environment and .env, as for
+the MCP server.
+Exit status: 0 on success, 1 when the tool call fails or the configuration is
+invalid, 2 on usage errors.`;
+
+// Flags every `call` accepts besides the tool's own
+const CALL_FLAGS = {
+  json: { type: 'string', description: 'Arguments as a JSON object; flags override its values' },
+  yes: { type: 'boolean', description: 'Confirm destructive tools without the preview round trip (the preview is printed to stderr)' }
+};
+
+class UsageError extends Error {}
+
+// serverId -> server-id, admin_email -> admin-email
+function kebab(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/_/g, '-').toLowerCase();
+}
+
+function flagNames(properties) {
+  const names = new Map();
+  for (const key of Object.keys(properties)) {
+    names.set(key, key);
+    names.set(kebab(key), key);
+  }
+  return names;
+}
+
+function parseBoolean(flag, value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new UsageError(`--${flag} expects true or false, got "${value}"`);
+}
+
+function parseValue(flag, schema, value) {
+  if (schema.type === 'number') {
+    const number = Number(value);
+    if (value === '' || Number.isNaN(number)) throw new UsageError(`--${flag} expects a number, got "${value}"`);
+    return number;
+  }
+  if (schema.type === 'boolean') return parseBoolean(flag, value);
+  return value;
+}
+
+// Turn `--flag value`, `--flag=value`, `--flag` / `--no-flag` (booleans) and
+// repeated or comma-separated array flags into tool arguments
+export function parseFlags(tool, argv) {
+  const properties = { ...tool.inputSchema.properties, ...CALL_FLAGS };
+  const names = flagNames(properties);
+  const args = {};
+  const options = {};
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = argv[index];
+    if (token === '--help' || token === '-h') {
+      options.help = true;
+      continue;
+    }
+    if (!token.startsWith('--')) {
+      throw new UsageError(`Unexpected argument "${token}"`);
+    }
+
+    const [flag, inline] = token.slice(2).split(/=(.*)/s);
+    let key = names.get(flag);
+    let negated = false;
+    if (!key && flag.startsWith('no-') && names.has(flag.slice(3))) {
+      key = names.get(flag.slice(3));
+      negated = true;
+    }
+    if (!key) {
+      throw new UsageError(`Unknown flag --${flag} for ${tool.name}. Run "runcloud-mcp call ${tool.name} --help" for its flags.`);
+    }
+
+    const schema = properties[key];
+    const target = CALL_FLAGS[key] ? options : args;
+    if (schema.type === 'boolean') {
+      if (negated) {
+        target[key] = false;
+      } else if (inline !== undefined) {
+        target[key] = parseBoolean(flag, inline);
+      } else if (argv[index + 1] === 'true' || argv[index + 1] === 'false') {
+        target[key] = parseBoolean(flag, argv[++index]);
+      } else {
+        target[key] = true;
+      }
+      continue;
+    }
+    if (negated) throw new UsageError(`--${flag} is not a boolean flag`);
+
+    const value = inline !== undefined ? inline : argv[++index];
+    if (value === undefined) throw new UsageError(`--${flag} needs a value`);
+    if (schema.type === 'array') {
+      const items = value.split(',').map((item) => parseValue(flag, schema.items || {}, item.trim()));
+      target[key] = [...(target[key] || []), ...items];
+    } else {
+      target[key] = parseValue(flag, schema, value);
+    }
+  }
+
+  if (options.json !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(options.json);
+    } catch (error) {
+      throw new UsageError(`--json is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new UsageError('--json must be a JSON object');
+    }
+    return { args: { ...parsed, ...args }, options };
+  }
+  return { args, options };
+}
+
+function flagLine(key, schema, required) {
+  const value = schema.type === 'boolean'
+    ? ''
+    : ` <${schema.enum ? schema.enum.join('|') : schema.type === 'array' ? 'a,b,...' : schema.type}>`;
+  const flag = `--${kebab(key)}${value}`;
+  const description = `${schema.description || ''}${required ? ' (required)' : ''}`;
+  // Long flags (enums) get their description on the next line
+  return flag.length < 34
+    ? `  ${flag.padEnd(34)} ${description}`
+    : `  ${flag}\n  ${''.padEnd(34)} ${description}`;
+}
+
+export function toolHelp(tool) {
+  const { properties, required = [] } = tool.inputSchema;
+  const references = new Map((tool.references || []).map((reference) => [reference.id, reference]));
+  const lines = Object.entries(properties).map(([key, schema]) => {
+    const reference = references.get(key);
+    return reference && reference.required
+      ? `${flagLine(key, schema, false)} (required unless --${kebab(reference.name)} is given)`
+      : flagLine(key, schema, required.includes(key));
+  });
+  return [
+    `Usage: runcloud-mcp call ${tool.name} [flags]`,
+    '',
+    tool.description,
+    '',
+    'Flags:',
+    ...lines,
+    ...Object.entries(CALL_FLAGS).map(([key, schema]) => flagLine(key, schema, false))
+  ].join('\n');
+}
+
+function listTools(server) {
+  const tools = [...server.tools.values()].filter((tool) => !server.blockedReason(tool));
+  const width = Math.max(...tools.map((tool) => tool.name.length));
+  const lines = [];
+  for (const category of [...new Set(tools.map((tool) => tool.category))]) {
+    lines.push(`${category}:`);
+    for (const tool of tools.filter((candidate) => candidate.category === category)) {
+      lines.push(`  ${tool.name.padEnd(width)}  ${tool.description}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n').trimEnd();
+}
+
+async function callTool(server, name, argv, io) {
+  const tool = server.tools.get(name);
+  if (!tool) {
+    throw new UsageError(`Unknown tool: ${name}. Run "runcloud-mcp tools" to list them.`);
+  }
+  const { args, options } = parseFlags(tool, argv);
+  if (options.help) {
+    io.stdout(toolHelp(tool));
+    return;
+  }
+
+  // Confirmation tokens do not outlive this process, so a preview could
+  // never be confirmed
+  const needsConfirmation = tool.confirm && server.confirmations && !args.dryRun && !server.blockedReason(tool);
+  if (needsConfirmation && !options.yes) {
+    throw new UsageError(`${name} needs a confirmation: pass --yes to confirm, or --dry-run to preview`);
+  }
+
+  let result = await server.executeTool(name, args);
+  if (needsConfirmation && args.confirmationToken === undefined) {
+    const preview = JSON.parse(result.content[0].text);
+    if (preview.status === 'confirmation_required') {
+      io.stderr(`Confirming ${name}, which removes:\n${JSON.stringify(preview.willDelete, null, 2)}`);
+      result = await server.executeTool(name, { ...args, confirmationToken: preview.confirmationToken });
+    }
+  }
+  io.stdout(result.content[0].text);
+}
+
+// Run the command line with `argv` (without node and the script path).
+// Returns the exit status.
+export async function runCli(argv, io = {
+  stdout: (text) => process.stdout.write(`${text}\n`),
+  stderr: (text) => process.stderr.write(`${text}\n`)
+}) {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    io.stdout(USAGE);
+    return command ? 0 : 2;
+  }
+  if (!['serve', 'tools', 'call'].includes(command)) {
+    io.stderr(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  let server;
+  try {
+    if (command === 'serve') {
+      await new RunCloudMCPServer().run();
+      return null;
+    }
+
+    // Output is not truncated on the command line unless configured
+    const config = getConfig();
+    server = new RunCloudMCPServer({
+      transport: 'stdio',
+      maxResponseSize: config.sources['output.maxResponseSize'] ? config.output.maxResponseSize : 0
+    });
+  } catch (error) {
+    io.stderr(`Error: ${error.message}`);
+    return 1;
+  }
+
+  if (command === 'tools') {
+    io.stdout(listTools(server));
+    return 0;
+  }
+
+  const [name, ...flags] = rest;
+  if (!name) {
+    io.stderr(`Missing tool name\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    await callTool(server, name, flags, io);
+    return 0;
+  } catch (error) {
+    io.stderr(`Error: ${error.message}`);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
@@ -0,0 +1,85 @@
+import axios from 'axios';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ResponseCache } from './cache.js';
+import { getConfig } from './config.js';
+import { FixtureStore, attachFixtures } from './fixtures.js';
+import { RateLimiter, attachRateLimiter } from './rate-limiter.js';
+import { attachRetry } from './retry.js';
+
+// Accounts, retry policy, rate limit, timeout, cache and fixtures all come
+// from the configuration (see config.js), read on first use so that importing
+// this module never fails
+
+let cache;
+let fixtures;
+
+// Response cache for static endpoints, optionally persisted to disk
+export function getCache() {
+  if (!cache) {
+    const { enabled, file } = getConfig().cache;
+    cache = new ResponseCache({ enabled, file });
+  }
+  return cache;
+}
+
+// Record RunCloud exchanges to fixture files or replay them (see fixtures.js)
+function getFixtures() {
+  if (!fixtures) fixtures = new FixtureStore(getConfig().fixtures);
+  return fixtures;
+}
+
+// Create axios instance with auth. Each account gets its own rate limiter
+// (the RunCloud quota is per API key) and retry policy.
+function createClient(account) {
+  const config = getConfig();
+  const api = axios.create({
+    baseURL: account.baseUrl,
+    timeout: config.timeout,
+    auth: {
+      username: account.apiKey,
+      password: account.apiSecret
+    },
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    }
+  });
+
+  const limiter = attachRateLimiter(api, new RateLimiter({
+    requestsPerMinute: config.rateLimit
+  }));
+
+  attachRetry(api, config.retry);
+
+  attachFixtures(api, getFixtures(), account.name);
+
+  return { account: account.name, api, limiter };
+}
+
+const clients = new Map();
+
+export function getClient(name) {
+  const { accounts, defaultAccount } = getConfig();
+  name = name || defaultAccount;
+  if (!accounts.has(name)) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown RunCloud account: ${name}. Available accounts: ${[...accounts.keys()].join(', ')}`
+    );
+  }
+  if (!clients.has(name)) {
+    clients.set(name, createClient(accounts.get(name)));
+  }
+  return clients.get(name);
+}
+
+export function listAccounts() {
+  const { accounts, defaultAccount } = getConfig();
+  return [...accounts.values()].map(({ name, label, baseUrl, source }) => ({
+    name,
+    label,
+    baseUrl,
+    source,
+    default: name === defaultAccount
+  }));
+}
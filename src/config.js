@@ -0,0 +1,350 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import * as dotenv from 'dotenv';
+import YAML from 'yaml';
+import { loadAccounts, loadReplayAccounts } from './accounts.js';
+import { FIXTURE_MODES, FixtureStore } from './fixtures.js';
+import { FORMATS } from './format.js';
+import { MASK } from './redact.js';
+import { builtInWebappProfiles, webappSettings } from './tools/webapps.js';
+import { validateValue } from './validation.js';
+
+// Effective configuration of the server, built from, in increasing
+// precedence:
+//   1. built-in defaults (DEFAULTS below)
+//   2. the config file: RUNCLOUD_CONFIG, or the first of
+//      ~/.runcloud-mcp/config.yaml, config.yml, config.json
+//   3. environment variables (ENV_OVERRIDES below), including .env
+// Accounts come from the file's `profiles` plus the RUNCLOUD_API_KEY /
+// RUNCLOUD_ACCOUNTS_FILE / RUNCLOUD_ACCOUNT_<NAME>_* variables (see accounts.js).
+
+const CONFIG_DIR = path.join(os.homedir(), '.runcloud-mcp');
+const CONFIG_FILES = ['config.yaml', 'config.yml', 'config.json'];
+
+const DEFAULTS = {
+  defaultProfile: null,
+  profiles: {},
+  timeout: 60000,
+  retry: { retries: 3, baseDelay: 500, maxDelay: 10000 },
+  rateLimit: 60,
+  cache: { enabled: true, file: null, nameTtl: 300 },
+  tools: {
+    allow: [],
+    deny: [],
+    readOnly: false,
+    requireConfirmation: true,
+    confirmationTtl: 300,
+    allowRevealSecrets: false
+  },
+  webappDefaults: {},
+  webappProfiles: builtInWebappProfiles,
+  output: { format: 'json', maxResponseSize: 50000 },
+  audit: { enabled: true, file: path.join(CONFIG_DIR, 'audit.jsonl'), maxSize: 5 * 1024 * 1024, maxFiles: 5 },
+  transport: 'stdio',
+  http: { host: '127.0.0.1', port: 3000, token: null, corsOrigins: [] },
+  fixtures: { mode: null, dir: path.join(CONFIG_DIR, 'fixtures') }
+};
+
+const count = { type: 'number', minimum: 0 };
+const text = { type: ['string', 'null'] };
+const list = { type: 'array', items: { type: 'string' } };
+
+function section(properties) {
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+const SCHEMA = section({
+  defaultProfile: text,
+  profiles: {
+    type: 'object',
+    additionalProperties: section({
+      apiKey: { type: 'string' },
+      apiSecret: { type: 'string' },
+      baseUrl: { type: 'string' },
+      label: { type: 'string' }
+    })
+  },
+  timeout: count,
+  retry: section({ retries: count, baseDelay: count, maxDelay: count }),
+  rateLimit: count,
+  cache: section({ enabled: { type: 'boolean' }, file: text, nameTtl: count }),
+  tools: section({
+    allow: list,
+    deny: list,
+    readOnly: { type: 'boolean' },
+    requireConfirmation: { type: 'boolean' },
+    confirmationTtl: count,
+    allowRevealSecrets: { type: 'boolean' }
+  }),
+  webappDefaults: section(webappSettings),
+  webappProfiles: { type: 'object', additionalProperties: section(webappSettings) },
+  output: section({ format: { type: 'string', enum: FORMATS }, maxResponseSize: count }),
+  audit: section({ enabled: { type: 'boolean' }, file: text, maxSize: count, maxFiles: { type: 'number', minimum: 1 } }),
+  transport: { type: 'string', enum: ['stdio', 'http'] },
+  http: section({ host: { type: 'string' }, port: count, token: text, corsOrigins: list }),
+  fixtures: section({ mode: { type: 'string', enum: FIXTURE_MODES }, dir: { type: 'string' } })
+});
+
+// Environment variable -> config path and how its value is read
+const ENV_OVERRIDES = {
+  RUNCLOUD_DEFAULT_ACCOUNT: ['defaultProfile', 'string'],
+  RUNCLOUD_TIMEOUT: ['timeout', 'number'],
+  RUNCLOUD_RETRIES: ['retry.retries', 'number'],
+  RUNCLOUD_RETRY_BASE_DELAY: ['retry.baseDelay', 'number'],
+  RUNCLOUD_RETRY_MAX_DELAY: ['retry.maxDelay', 'number'],
+  RUNCLOUD_RATE_LIMIT: ['rateLimit', 'number'],
+  RUNCLOUD_CACHE: ['cache.enabled', 'boolean'],
+  RUNCLOUD_CACHE_FILE: ['cache.file', 'string'],
+  RUNCLOUD_NAME_CACHE_TTL: ['cache.nameTtl', 'number'],
+  RUNCLOUD_TOOLS_ALLOW: ['tools.allow', 'list'],
+  RUNCLOUD_TOOLS_DENY: ['tools.deny', 'list'],
+  RUNCLOUD_READ_ONLY: ['tools.readOnly', 'boolean'],
+  RUNCLOUD_REQUIRE_CONFIRMATION: ['tools.requireConfirmation', 'boolean'],
+  RUNCLOUD_CONFIRMATION_TTL: ['tools.confirmationTtl', 'number'],
+  RUNCLOUD_ALLOW_REVEAL_SECRETS: ['tools.allowRevealSecrets', 'boolean'],
+  RUNCLOUD_OUTPUT_FORMAT: ['output.format', 'string'],
+  RUNCLOUD_MAX_RESPONSE_SIZE: ['output.maxResponseSize', 'number'],
+  // A path, or "false" to disable the audit log
+  RUNCLOUD_AUDIT_LOG: ['audit.file', 'auditLog'],
+  RUNCLOUD_AUDIT_LOG_MAX_SIZE: ['audit.maxSize', 'number'],
+  RUNCLOUD_AUDIT_LOG_FILES: ['audit.maxFiles', 'number'],
+  RUNCLOUD_MCP_TRANSPORT: ['transport', 'string'],
+  RUNCLOUD_MCP_HOST: ['http.host', 'string'],
+  RUNCLOUD_MCP_PORT: ['http.port', 'number'],
+  RUNCLOUD_MCP_TOKEN: ['http.token', 'string'],
+  RUNCLOUD_MCP_CORS_ORIGINS: ['http.corsOrigins', 'list'],
+  RUNCLOUD_FIXTURES: ['fixtures.mode', 'string'],
+  RUNCLOUD_FIXTURES_DIR: ['fixtures.dir', 'string']
+};
+
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+// Startup problems with the configuration: the file, an environment
+// variable or missing credentials. Each problem is listed on its own line.
+export class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge of config sections; arrays and scalars are replaced
+function merge(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function leafPaths(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const keys = `${prefix}${key}`;
+    // Profiles and web application defaults are reported as a whole
+    return isObject(value) && !['profiles', 'webappDefaults', 'webappProfiles'].includes(keys)
+      ? leafPaths(value, `${keys}.`)
+      : [keys];
+  });
+}
+
+function setPath(object, keys, value) {
+  const parts = keys.split('.');
+  const last = parts.pop();
+  let target = object;
+  for (const key of parts) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+// Paths in the file may start with ~ for the home directory
+function expandHome(file) {
+  return typeof file === 'string' && /^~(\/|$)/.test(file) ? path.join(os.homedir(), file.slice(1)) : file;
+}
+
+function schemaAt(keys) {
+  return keys.split('.').reduce((schema, key) => schema.properties[key], SCHEMA);
+}
+
+// Explicit RUNCLOUD_CONFIG ("false" for none), else the first file present
+function findConfigFile(env) {
+  if (env.RUNCLOUD_CONFIG === 'false') return null;
+  if (env.RUNCLOUD_CONFIG) {
+    const file = expandHome(env.RUNCLOUD_CONFIG);
+    if (!fs.existsSync(file)) {
+      throw new ConfigError(`Config file ${file} (RUNCLOUD_CONFIG) does not exist`);
+    }
+    return file;
+  }
+  return CONFIG_FILES.map((name) => path.join(CONFIG_DIR, name)).find((file) => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+  let settings;
+  try {
+    const source = fs.readFileSync(file, 'utf8');
+    settings = file.endsWith('.json') ? JSON.parse(source) : YAML.parse(source);
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${file}: ${error.message}`);
+  }
+  // An empty YAML file parses to null
+  if (settings === null || settings === undefined) return {};
+  const problems = validateValue(SCHEMA, settings, '');
+  if (problems.length) {
+    throw new ConfigError(`Invalid config file ${file}`, problems);
+  }
+  return settings;
+}
+
+function parseEnvValue(name, type, value) {
+  if (type === 'number') {
+    const number = Number(value);
+    if (Number.isNaN(number)) throw new Error(`${name} must be a number (got "${value}")`);
+    return number;
+  }
+  if (type === 'boolean') {
+    if (!(value in BOOLEANS)) throw new Error(`${name} must be true or false (got "${value}")`);
+    return BOOLEANS[value];
+  }
+  if (type === 'list') {
+    return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+// Settings given as environment variables. Empty variables are ignored.
+function readEnv(env) {
+  const settings = {};
+  const names = [];
+  const problems = [];
+
+  for (const [name, [keys, type]] of Object.entries(ENV_OVERRIDES)) {
+    const value = env[name];
+    if (value === undefined || value === '') continue;
+    names.push(name);
+
+    if (type === 'auditLog') {
+      if (value in BOOLEANS) {
+        setPath(settings, 'audit.enabled', BOOLEANS[value]);
+      } else {
+        setPath(settings, 'audit.enabled', true);
+        setPath(settings, keys, value);
+      }
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = parseEnvValue(name, type, value);
+    } catch (error) {
+      problems.push(error.message);
+      continue;
+    }
+    const errors = validateValue(schemaAt(keys), parsed, keys);
+    if (errors.length) {
+      problems.push(...errors.map((error) => `${name}: ${error}`));
+      continue;
+    }
+    setPath(settings, keys, parsed);
+  }
+
+  if (problems.length) {
+    throw new ConfigError('Invalid environment variables', problems);
+  }
+  return { settings, names };
+}
+
+function resolveAccounts(config, file, env) {
+  let resolved;
+  try {
+    resolved = loadAccounts(env, {
+      profiles: config.profiles,
+      defaultProfile: config.defaultProfile,
+      source: file || 'config'
+    });
+    if (!resolved.accounts.size && config.fixtures.mode === 'replay') {
+      resolved = loadReplayAccounts(new FixtureStore(config.fixtures).accounts(), env);
+      if (!resolved.accounts.size) {
+        throw new ConfigError(
+          `No recorded fixtures in ${config.fixtures.dir} and no RunCloud account configured. ` +
+          'Record some with RUNCLOUD_FIXTURES=record or point RUNCLOUD_FIXTURES_DIR at them.'
+        );
+      }
+    }
+  } catch (error) {
+    throw error instanceof ConfigError ? error : new ConfigError(error.message);
+  }
+
+  if (!resolved.accounts.size) {
+    throw new ConfigError('No RunCloud account configured. Set RUNCLOUD_API_KEY and RUNCLOUD_API_SECRET in', [
+      'MCP configuration env vars, or',
+      '.env file in the project root, or',
+      `profiles in the config file (${file || path.join(CONFIG_DIR, 'config.yaml')}), or`,
+      'named accounts (RUNCLOUD_ACCOUNTS_FILE / RUNCLOUD_ACCOUNT_<NAME>_API_KEY)'
+    ]);
+  }
+  return resolved;
+}
+
+// Build the effective configuration. Throws a ConfigError describing every
+// problem found, so the server can refuse to start with a clear message.
+export function loadConfig(env = process.env) {
+  // Load .env file if it exists
+  if (env === process.env) dotenv.config();
+
+  const file = findConfigFile(env);
+  const fromFile = file ? readConfigFile(file) : {};
+  const fromEnv = readEnv(env);
+  const config = merge(merge(DEFAULTS, fromFile), fromEnv.settings);
+  config.cache.file = expandHome(config.cache.file);
+  config.audit.file = expandHome(config.audit.file);
+  config.fixtures.dir = expandHome(config.fixtures.dir);
+
+  // Where each explicitly set value came from, for show_config and for
+  // settings whose default depends on the entry point (see cli.js)
+  const sources = {};
+  for (const keys of leafPaths(fromFile)) sources[keys] = file;
+  for (const name of fromEnv.names) sources[ENV_OVERRIDES[name][0]] = name;
+
+  const { accounts, defaultAccount } = resolveAccounts(config, file, env);
+  return { ...config, file, sources, accounts, defaultAccount };
+}
+
+let current;
+
+// Configuration of this process, loaded on first use
+export function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+// Keep the last four characters of an API key so accounts can be told apart
+function maskKey(value) {
+  return value && value.length > 8 ? `${MASK}${value.slice(-4)}` : MASK;
+}
+
+// The effective configuration for show_config, with secrets masked
+export function describeConfig(config) {
+  const { file, sources, accounts, defaultAccount, profiles, defaultProfile, ...settings } = config;
+  return {
+    file,
+    sources,
+    defaultProfile: defaultAccount,
+    profiles: Object.fromEntries([...accounts.values()].map((account) => [account.name, {
+      label: account.label,
+      baseUrl: account.baseUrl,
+      source: account.source,
+      apiKey: maskKey(account.apiKey),
+      apiSecret: MASK
+    }])),
+    ...settings,
+    http: { ...settings.http, token: settings.http.token ? MASK : null }
+  };
+}
@@ -0,0 +1,38 @@
+import crypto from 'node:crypto';
+
+// Short-lived, single-use tokens for the two-phase destructive tools. A token
+// is bound to the exact request it was issued for (account, method and path),
+// so it cannot be replayed against another resource.
+export class ConfirmationStore {
+  constructor({ ttlSeconds = 300 } = {}) {
+    this.ttl = ttlSeconds * 1000;
+    this.tokens = new Map();
+  }
+
+  static key(account, { method, url }) {
+    return `${account} ${method.toUpperCase()} ${url}`;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) this.tokens.delete(token);
+    }
+  }
+
+  issue(key) {
+    this.prune();
+    const token = crypto.randomBytes(6).toString('hex');
+    const expiresAt = Date.now() + this.ttl;
+    this.tokens.set(token, { key, expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  consume(token, key) {
+    this.prune();
+    const entry = this.tokens.get(token);
+    if (!entry || entry.key !== key) return false;
+    this.tokens.delete(token);
+    return true;
+  }
+}
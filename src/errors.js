@@ -0,0 +1,67 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+// Error codes for RunCloud failures, in the JSON-RPC implementation-defined
+// server error range (-32000 to -32099). Validation failures use InvalidParams.
+export const RunCloudErrorCode = {
+  AuthenticationFailed: -32010,
+  NotFound: -32011,
+  RateLimited: -32012,
+  ServerError: -32013,
+  RequestFailed: -32014,
+};
+
+function errorCodeForStatus(status) {
+  if (status === 400 || status === 422) return ErrorCode.InvalidParams;
+  if (status === 401 || status === 403) return RunCloudErrorCode.AuthenticationFailed;
+  if (status === 404) return RunCloudErrorCode.NotFound;
+  if (status === 429) return RunCloudErrorCode.RateLimited;
+  if (status >= 500) return RunCloudErrorCode.ServerError;
+  return ErrorCode.InternalError;
+}
+
+// Flatten RunCloud's per-field `errors` object ({ field: [messages] }) into lines
+function fieldMessages(errors) {
+  if (!errors || typeof errors !== 'object') return [];
+  return Object.entries(errors).map(([field, messages]) =>
+    `${field}: ${[].concat(messages).join(' ')}`
+  );
+}
+
+function describeRequest(config = {}) {
+  const method = (config.method || 'get').toUpperCase();
+  return { method, path: config.url };
+}
+
+// Convert an axios error into an McpError that keeps the HTTP status, the
+// request that failed and RunCloud's field-level validation messages.
+export function toMcpError(error) {
+  if (error instanceof McpError) return error;
+  if (!error.isAxiosError) return error;
+
+  const { method, path } = describeRequest(error.config);
+
+  if (!error.response) {
+    return new McpError(
+      RunCloudErrorCode.RequestFailed,
+      `RunCloud request failed on ${method} ${path}: ${error.code || error.message}`,
+      { method, path, code: error.code }
+    );
+  }
+
+  const { status, statusText, data, headers } = error.response;
+  const message = (data && data.message) || statusText;
+  const fields = fieldMessages(data && data.errors);
+  const details = {
+    status,
+    method,
+    path,
+    message,
+  };
+  if (fields.length) details.errors = data.errors;
+  if (status === 429 && headers && headers['retry-after']) {
+    details.retryAfter = headers['retry-after'];
+  }
+
+  const text = [`RunCloud API error (${status}) on ${method} ${path}: ${message}`, ...fields].join('\n');
+  return new McpError(errorCodeForStatus(status), text, details);
+}
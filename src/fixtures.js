@@ -0,0 +1,187 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { RunCloudErrorCode } from './errors.js';
+import { maskSecrets, redactText, secretValues } from './redact.js';
+
+// Record/replay of RunCloud HTTP exchanges, so a misbehaving tool can be
+// reproduced offline and regression-tested without credentials.
+//
+// RUNCLOUD_FIXTURES=record sends requests as usual and writes every exchange
+// to a fixture file; RUNCLOUD_FIXTURES=replay answers from those files and
+// never touches the network. Files live in RUNCLOUD_FIXTURES_DIR, one
+// directory per account and one file per distinct request:
+//
+//   <dir>/default/GET-servers-1-webapps.json
+//   { "request": { "method", "path", "query", "body" }, "responses": [{ "status", "headers", "data" }] }
+//
+// A request made more than once (e.g. listing before and after a create)
+// keeps each response in order; replay serves them in the same order and
+// repeats the last one. Secrets are masked before anything is written.
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+// Response headers the rate limiter and retry policy read
+const KEPT_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining'];
+
+// Replace `secrets` in every string of a value
+function scrub(value, secrets) {
+  if (typeof value === 'string') return redactText(value, secrets);
+  if (Array.isArray(value)) return value.map((item) => scrub(item, secrets));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item, secrets)]));
+}
+
+function sortedEntries(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, item]) => item !== undefined).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// The adapter sees request and response bodies serialized
+function parse(data) {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'object' && !Object.keys(value).length);
+}
+
+export class FixtureStore {
+  constructor({ mode = null, dir } = {}) {
+    this.mode = mode;
+    this.dir = dir;
+    // Fixtures written by this process (recording) or read from disk (replay)
+    this.fixtures = new Map();
+    // How many responses of each fixture were served so far (replay)
+    this.served = new Map();
+  }
+
+  // Accounts that have recorded fixtures (a directory each)
+  accounts() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  }
+
+  // Mask sensitive fields (plus the tool's `redact` keys), the API credentials
+  // and any secret sent in the request body wherever they are echoed back
+  sanitize(value, config) {
+    const { username, password } = config.auth || {};
+    const secrets = [username, password, ...secretValues(parse(config.data), config.redact)].filter(Boolean);
+    return scrub(maskSecrets(value, config.redact), secrets);
+  }
+
+  describe(config) {
+    const query = config.params ? sortedEntries(config.params) : undefined;
+    const body = this.sanitize(parse(config.data), config);
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      path: config.url,
+      ...(!isEmpty(query) && { query }),
+      ...(!isEmpty(body) && { body })
+    };
+  }
+
+  // Requests to the same path with a different query or body get their own
+  // file, told apart by a hash of the (sanitized) query and body
+  file(account, request) {
+    const slug = request.path.replace(/^\/+/, '').replace(/[^A-Za-z0-9]+/g, '-') || 'root';
+    const variant = request.query || request.body
+      ? `-${crypto.createHash('sha256').update(JSON.stringify([request.query, request.body])).digest('hex').slice(0, 8)}`
+      : '';
+    return path.join(this.dir, account, `${request.method}-${slug}${variant}.json`);
+  }
+
+  save(account, config, response) {
+    const request = this.describe(config);
+    const file = this.file(account, request);
+    // A fixture recorded by an earlier run is replaced, not appended to
+    const fixture = this.fixtures.get(file) || { request, responses: [] };
+    fixture.recordedAt = new Date().toISOString();
+    fixture.responses.push({
+      status: response.status,
+      headers: Object.fromEntries(KEPT_HEADERS
+        .filter((name) => response.headers && response.headers[name] !== undefined)
+        .map((name) => [name, String(response.headers[name])])),
+      data: this.sanitize(parse(response.data), config)
+    });
+    this.fixtures.set(file, fixture);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  async record(account, config, send) {
+    try {
+      const response = await send(config);
+      this.save(account, config, response);
+      return response;
+    } catch (error) {
+      // Error responses are recorded too; network failures are not
+      if (error.response) this.save(account, config, error.response);
+      throw error;
+    }
+  }
+
+  load(file, request) {
+    if (!this.fixtures.has(file)) {
+      if (!fs.existsSync(file)) {
+        throw new McpError(
+          RunCloudErrorCode.RequestFailed,
+          `No recorded RunCloud response for ${request.method} ${request.path} (expected ${file}). ` +
+          'Record it with RUNCLOUD_FIXTURES=record.',
+          { method: request.method, path: request.path, fixture: file }
+        );
+      }
+      this.fixtures.set(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return this.fixtures.get(file);
+  }
+
+  async replay(account, config) {
+    const request = this.describe(config);
+    const file = this.file(account, request);
+    const { responses } = this.load(file, request);
+    const served = this.served.get(file) || 0;
+    this.served.set(file, served + 1);
+
+    const recorded = responses[Math.min(served, responses.length - 1)];
+    const response = {
+      data: recorded.data,
+      status: recorded.status,
+      statusText: '',
+      headers: new AxiosHeaders(recorded.headers),
+      config,
+      request: null
+    };
+    if (config.validateStatus && !config.validateStatus(recorded.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${recorded.status}`,
+        recorded.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        null,
+        response
+      );
+    }
+    return response;
+  }
+}
+
+// Route an account's requests through the fixture store. This sits at the
+// adapter level, below the rate limiter and retry interceptors, so each
+// retry attempt is recorded and replayed as its own exchange.
+export function attachFixtures(client, store, account) {
+  if (!store.mode) return client;
+  const send = axios.getAdapter(client.defaults.adapter);
+  client.defaults.adapter = (config) => (store.mode === 'replay'
+    ? store.replay(account, config)
+    : store.record(account, config, send));
+  return client;
+}
@@ -0,0 +1,161 @@
+import YAML from 'yaml';
+
+// Rendering of tool results: field projection, output format and a size cap
+
+export const FORMATS = ['json', 'compact', 'markdown', 'yaml', 'table'];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The items of a list result: a bare array or RunCloud's { data: [...] }
+function listItems(data) {
+  if (Array.isArray(data)) return data;
+  if (isObject(data) && Array.isArray(data.data)) return data.data;
+  return null;
+}
+
+function withItems(data, items) {
+  return Array.isArray(data) ? items : { ...data, data: items };
+}
+
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => (isObject(current) ? current[key] : undefined), value);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isObject(current[key])) current[key] = {};
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+function pick(item, fields) {
+  if (!isObject(item)) return item;
+  const picked = {};
+  for (const field of fields) {
+    const value = getPath(item, field);
+    if (value !== undefined) setPath(picked, field, value);
+  }
+  return picked;
+}
+
+// Keep only `fields` (dotted paths allowed, e.g. "php.version") of every list
+// item, or of the object itself. Pagination metadata is kept.
+export function projectFields(data, fields) {
+  if (!fields || !fields.length) return data;
+  const items = listItems(data);
+  if (items) return withItems(data, items.map((item) => pick(item, fields)));
+  return pick(data, fields);
+}
+
+// Tables: markdown for chat clients, aligned plain text for terminals
+
+function cell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\r?\n/g, ' ');
+}
+
+const MAX_TEXT_CELL = 60;
+
+const TABLE_STYLES = {
+  markdown: {
+    empty: '_No items_',
+    render(columns, rows) {
+      const escape = (value) => cell(value).replace(/\|/g, '\\|');
+      return [
+        `| ${columns.map(escape).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`)
+      ].join('\n');
+    }
+  },
+  text: {
+    empty: 'No items',
+    render(columns, rows) {
+      const shorten = (value) => {
+        const text = cell(value);
+        return text.length > MAX_TEXT_CELL ? `${text.slice(0, MAX_TEXT_CELL - 3)}...` : text;
+      };
+      const cells = [columns, ...rows].map((row) => row.map(shorten));
+      const widths = cells[0].map((_, index) => Math.max(...cells.map((row) => row[index].length)));
+      const line = (row) => row.map((text, index) => text.padEnd(widths[index])).join('  ').trimEnd();
+      return [line(cells[0]), line(widths.map((width) => '-'.repeat(width))), ...cells.slice(1).map(line)].join('\n');
+    }
+  }
+};
+
+function toTable(data, fields, style) {
+  const { empty, render } = TABLE_STYLES[style];
+  const items = listItems(data);
+  if (items) {
+    if (!items.length) return empty;
+    if (!items.every(isObject)) return render(['value'], items.map((item) => [item]));
+    const columns = fields && fields.length
+      ? fields
+      : [...new Set(items.flatMap((item) => Object.keys(item)))];
+    const lines = [render(columns, items.map((item) => columns.map((column) => getPath(item, column))))];
+    const pagination = isObject(data) && data.meta && data.meta.pagination;
+    if (pagination) {
+      lines.push('', `${items.length} of ${pagination.total} items` +
+        (pagination.current_page ? ` (page ${pagination.current_page} of ${pagination.total_pages})` : ''));
+    }
+    return lines.join('\n');
+  }
+  if (isObject(data)) {
+    return render(['Field', 'Value'], Object.entries(data));
+  }
+  return cell(data);
+}
+
+// YAML in block style, without folding long strings or anchoring objects
+// that appear twice. Strings a YAML 1.1 reader would take for another type
+// ("yes", "0x1f", ...) are quoted as well.
+function toYaml(data) {
+  return YAML.stringify(data, { version: '1.1', lineWidth: 0, aliasDuplicateObjects: false }).trimEnd();
+}
+
+function serialize(data, format, fields) {
+  switch (format) {
+    case 'compact':
+      return JSON.stringify(data);
+    case 'markdown':
+      return toTable(data, fields, 'markdown');
+    case 'table':
+      return toTable(data, fields, 'text');
+    case 'yaml':
+      return toYaml(data);
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+const TRUNCATION_HINT = 'Narrow it down with fields, search or maxItems, or use format "compact"';
+
+// Render a result as text. Output longer than maxSize characters (0 = no
+// limit) is shortened: lists lose trailing items so the text stays
+// well-formed, anything else is cut. Either way a notice says what was left out.
+export function renderOutput(data, { format = 'json', fields, maxSize = 0 } = {}) {
+  const projected = projectFields(data, fields);
+  let text = serialize(projected, format, fields);
+  if (!maxSize || text.length <= maxSize) return text;
+
+  const items = listItems(projected);
+  if (items && items.length > 1) {
+    let count = items.length;
+    while (count > 1 && text.length > maxSize) {
+      count = Math.max(1, Math.min(count - 1, Math.floor((count * maxSize) / text.length)));
+      text = serialize(withItems(projected, items.slice(0, count)), format, fields);
+    }
+    if (text.length <= maxSize) {
+      return `${text}\n\n[Response truncated: showing ${count} of ${items.length} items (limit ${maxSize} characters). ${TRUNCATION_HINT}.]`;
+    }
+  }
+
+  const full = serialize(projected, format, fields);
+  return `${full.slice(0, maxSize)}\n\n[Response truncated: showing the first ${maxSize} of ${full.length} characters. ${TRUNCATION_HINT}.]`;
+}
@@ -0,0 +1,150 @@
+import http from 'node:http';
+import { randomUUID, timingSafeEqual } from 'node:crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+
+// Endpoints: Streamable HTTP on /mcp, legacy HTTP+SSE on /sse (stream) and
+// /messages (client-to-server posts)
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+function sameToken(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return Boolean(match) && sameToken(match[1].trim(), token);
+}
+
+function applyCors(req, res, corsOrigins) {
+  const origin = req.headers.origin;
+  if (!origin || !corsOrigins.length) return;
+  if (!corsOrigins.includes('*') && !corsOrigins.includes(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', corsOrigins.includes('*') ? '*' : origin);
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Accept, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+  res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+}
+
+// JSON-RPC shaped error for requests rejected before reaching a transport
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : undefined);
+      } catch {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serve MCP over HTTP. Every session gets its own MCP server instance from
+// `createServer()`, all sharing the process-wide RunCloud clients and cache.
+export async function startHttpServer(createServer, { host, port, token, corsOrigins = [] }) {
+  if (!token) {
+    throw new Error('RUNCLOUD_MCP_TOKEN is required for the HTTP transport (clients send it as "Authorization: Bearer <token>")');
+  }
+
+  const streamable = new Map();
+  const sse = new Map();
+
+  async function handleMcp(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    let transport = sessionId ? streamable.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId) return sendError(res, 404, `Unknown session: ${sessionId}`);
+      if (req.method !== 'POST' || !isInitializeRequest(body)) {
+        return sendError(res, 400, 'No session: send an initialize request first');
+      }
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => streamable.set(id, transport)
+      });
+      transport.onclose = () => {
+        if (transport.sessionId) streamable.delete(transport.sessionId);
+      };
+      await createServer().connect(transport);
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSse(req, res) {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    sse.set(transport.sessionId, transport);
+    res.on('close', () => sse.delete(transport.sessionId));
+    await createServer().connect(transport);
+  }
+
+  async function handleMessages(req, res, url) {
+    const transport = sse.get(url.searchParams.get('sessionId'));
+    if (!transport) return sendError(res, 404, 'Unknown or missing sessionId');
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    applyCors(req, res, corsOrigins);
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    if (!isAuthorized(req, token)) {
+      return sendError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    try {
+      if (url.pathname === MCP_PATH) return await handleMcp(req, res);
+      if (url.pathname === SSE_PATH && req.method === 'GET') return await handleSse(req, res);
+      if (url.pathname === MESSAGES_PATH && req.method === 'POST') return await handleMessages(req, res, url);
+      sendError(res, 404, `Not found: ${req.method} ${url.pathname}`);
+    } catch (error) {
+      console.error('[HTTP] Request failed:', error);
+      if (!res.headersSent) sendError(res, error.status || 500, error.message);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+
+  return {
+    httpServer,
+    async close() {
+      for (const transport of [...streamable.values(), ...sse.values()]) {
+        await transport.close();
+      }
+      await new Promise((resolve) => httpServer.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,109 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { getCache, getClient } from './client.js';
+import { getConfig } from './config.js';
+import { RunCloudErrorCode, toMcpError } from './errors.js';
+import { fetchAllPages } from './pagination.js';
+
+// Listing used to find a resource by name. `search` narrows the listing on
+// RunCloud's side; the name still has to match exactly.
+const LOOKUPS = {
+  server: {
+    label: 'server',
+    path: () => '/servers',
+    field: 'name',
+    search: true,
+    detail: (item) => item.ipAddress
+  },
+  webapp: {
+    label: 'web application',
+    path: ({ serverId }) => `/servers/${serverId}/webapps`,
+    field: 'name',
+    search: true,
+    detail: (item) => item.rootPath
+  },
+  domain: {
+    label: 'domain',
+    path: ({ serverId, webappId }) => `/servers/${serverId}/webapps/${webappId}/domains`,
+    field: 'name'
+  },
+  systemUser: {
+    label: 'system user',
+    path: ({ serverId }) => `/servers/${serverId}/users`,
+    field: 'username',
+    search: true
+  }
+};
+
+async function listItems(lookup, value, args) {
+  const { account, api } = getClient(args.account);
+  const request = {
+    method: 'GET',
+    url: lookup.path(args),
+    params: lookup.search ? { search: value } : undefined
+  };
+
+  const cache = getCache();
+  const cached = cache.get(account, request);
+  if (cached !== undefined) return cached;
+
+  const { data } = await fetchAllPages(
+    async (page) => (await api.request({ ...request, params: { ...request.params, page } })).data
+  );
+  // How long name lookups are cached (cache.nameTtl); mutations under the
+  // same path (e.g. creating a web application) invalidate them earlier
+  cache.set(account, request, data, getConfig().cache.nameTtl);
+  return data;
+}
+
+function describe(lookup, item) {
+  const detail = lookup.detail && lookup.detail(item);
+  return `${item[lookup.field]} (id ${item.id}${detail ? `, ${detail}` : ''})`;
+}
+
+async function lookupId(lookup, value, args) {
+  let items;
+  try {
+    items = await listItems(lookup, value, args);
+  } catch (error) {
+    throw toMcpError(error);
+  }
+
+  // Exact match first; fall back to a case-insensitive one
+  let matches = items.filter((item) => item[lookup.field] === value);
+  if (!matches.length) {
+    matches = items.filter((item) => String(item[lookup.field]).toLowerCase() === value.toLowerCase());
+  }
+
+  if (matches.length === 1) return matches[0].id;
+  if (matches.length > 1) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Ambiguous ${lookup.label} name "${value}", it matches ${matches.length}: ` +
+      `${matches.map((item) => describe(lookup, item)).join(', ')}. Pass the ID instead.`
+    );
+  }
+  const candidates = items.slice(0, 10).map((item) => describe(lookup, item));
+  throw new McpError(
+    RunCloudErrorCode.NotFound,
+    `No ${lookup.label} named "${value}"${candidates.length ? `. Candidates: ${candidates.join(', ')}` : ''}`
+  );
+}
+
+// Replace name arguments (server, webapp, domain, systemUser) with the IDs
+// the tool's request needs. IDs given explicitly take precedence over names.
+// References are resolved in order, so a webapp is looked up on the server
+// resolved just before it. validateArgs has already checked that required
+// ones are given one way or the other.
+export async function resolveNames(tool, args) {
+  if (!tool.references || !tool.references.length) return args;
+  const resolved = { ...args };
+
+  for (const { id, name } of tool.references) {
+    if (resolved[id] === undefined && resolved[name] !== undefined) {
+      resolved[id] = await lookupId(LOOKUPS[name], resolved[name], resolved);
+    }
+  }
+
+  for (const { name } of tool.references) delete resolved[name];
+  return resolved;
+}
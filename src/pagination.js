@@ -0,0 +1,32 @@
+// Walk RunCloud's paginated list responses:
+// { data: [...], meta: { pagination: { total, count, per_page, current_page, total_pages } } }
+export async function fetchAllPages(fetchPage, { maxItems = Infinity } = {}) {
+  const items = [];
+  let page = 1;
+  let pagination = null;
+
+  while (true) {
+    const body = await fetchPage(page);
+    const data = Array.isArray(body.data) ? body.data : [];
+    items.push(...data);
+    pagination = body.meta && body.meta.pagination;
+
+    if (!pagination || !data.length || page >= pagination.total_pages || items.length >= maxItems) break;
+    page += 1;
+  }
+
+  const total = pagination ? pagination.total : items.length;
+  const merged = items.slice(0, maxItems);
+  return {
+    data: merged,
+    meta: {
+      pagination: {
+        total,
+        count: merged.length,
+        pages_fetched: page,
+        total_pages: pagination ? pagination.total_pages : 1
+      },
+      complete: merged.length >= total
+    }
+  };
+}
@@ -0,0 +1,116 @@
+// Runbook prompts for recurring tasks. Each prompt lists the tools its steps
+// use; it is only offered when all of them are available (e.g. the deploy and
+// hardening runbooks are hidden in read-only mode). Argument values are strings.
+
+// The caller names the server either by ID or by name; tools accept both
+// (`serverId` or `server`, see names.js)
+function serverStep(server) {
+  return /^\d+$/.test(server)
+    ? `Use serverId ${server} in every call (check it with \`get_server\`).`
+    : `Pass \`server: "${server}"\` instead of serverId in every call (check it with \`get_server\`).`;
+}
+
+function webappStep(webapp) {
+  return /^\d+$/.test(webapp)
+    ? `Use webappId ${webapp} (check it with \`get_webapp\`).`
+    : `Pass \`webapp: "${webapp}"\` instead of webappId.`;
+}
+
+function numbered(steps) {
+  return steps.filter(Boolean).map((step, index) => `${index + 1}. ${step}`).join('\n');
+}
+
+export const prompts = [
+  {
+    name: 'deploy_wordpress_site',
+    description: 'Create a web application, install WordPress and secure it with a Let\'s Encrypt certificate',
+    arguments: [
+      { name: 'server', description: 'Server name or ID', required: true },
+      { name: 'domain', description: 'Primary domain of the site, e.g. example.com', required: true },
+      { name: 'webapp', description: 'Web application name (default: derived from the domain)' },
+      { name: 'systemUser', description: 'System user that will own the site (default: runcloud)' },
+      { name: 'phpVersion', description: 'PHP version, e.g. php83 (default: newest available)' },
+      { name: 'siteTitle', description: 'WordPress site title' },
+      { name: 'adminEmail', description: 'WordPress admin email' }
+    ],
+    tools: ['get_server', 'list_php_versions', 'create_webapp', 'list_script_installers', 'install_script', 'install_ssl', 'get_ssl_info'],
+    text: (args) => {
+      const webapp = args.webapp || args.domain.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+      return [
+        `Deploy a new WordPress site for ${args.domain} on server "${args.server}".`,
+        '',
+        numbered([
+          serverStep(args.server),
+          `The site is owned by system user "${args.systemUser || 'runcloud'}" (pass it as \`systemUser\`).`,
+          args.phpVersion
+            ? `Use PHP version ${args.phpVersion}.`
+            : 'Pick the newest PHP version from `list_php_versions`.',
+          `Create the web application with \`create_webapp\`: name "${webapp}", domainName "${args.domain}", the system user, stack "hybrid" and stackMode "production". Use \`dryRun: true\` first and show me the request.`,
+          'Find the WordPress installer ID with `list_script_installers`.',
+          `Install WordPress with \`install_script\`${args.siteTitle ? `, site_title "${args.siteTitle}"` : ''}${args.adminEmail ? `, admin_email "${args.adminEmail}"` : ''}. Generate a strong admin password and give it to me at the end.`,
+          `Install a Let's Encrypt certificate with \`install_ssl\` (provider "letsencrypt", hsts true), then confirm with \`get_ssl_info\`. DNS for ${args.domain} must already point to the server; if issuance fails, report the error and stop.`,
+          'Summarize what was created: server, web application ID, PHP version, WordPress admin user and SSL status.'
+        ])
+      ].join('\n');
+    }
+  },
+  {
+    name: 'diagnose_502',
+    description: 'Investigate a 502 Bad Gateway on a web application: logs, PHP-FPM and web server services, server load',
+    arguments: [
+      { name: 'server', description: 'Server name or ID', required: true },
+      { name: 'webapp', description: 'Web application name or ID', required: true },
+      { name: 'symptoms', description: 'What was observed (when it started, which URLs, recent changes)' }
+    ],
+    tools: ['get_server', 'get_webapp', 'get_webapp_logs', 'get_server_logs', 'list_services', 'get_server_stats'],
+    text: (args) => [
+      `Web application "${args.webapp}" on server "${args.server}" returns 502 Bad Gateway.`,
+      ...(args.symptoms ? [`Observed: ${args.symptoms}`] : []),
+      '',
+      'Diagnose it without changing anything:',
+      numbered([
+        serverStep(args.server),
+        webappStep(args.webapp),
+        'Read the web application with `get_webapp` and note its PHP version and stack.',
+        'Read the last 200 lines of the `error` and `php_error` logs with `get_webapp_logs`.',
+        'Read the `nginx_error` log with `get_server_logs` (and `apache_error` if the stack is hybrid).',
+        'Check with `list_services` that nginx, the PHP-FPM service of that PHP version and, for hybrid stacks, Apache are running.',
+        'Check CPU, memory and disk with `get_server_stats`.',
+        'Report the most likely cause with the log lines that support it, and propose a fix (e.g. restarting a service with `control_service`). Do not apply it until I confirm.'
+      ])
+    ].join('\n')
+  },
+  {
+    name: 'harden_server',
+    description: 'Apply a baseline hardening to a new server: SSH settings, firewall rules and automatic updates',
+    arguments: [
+      { name: 'server', description: 'Server name or ID', required: true },
+      { name: 'sshPort', description: 'SSH port to allow in the firewall (default: 22)' },
+      { name: 'allowedPorts', description: 'Extra TCP ports to open, comma-separated (80 and 443 are always open)' },
+      { name: 'adminIp', description: 'IP address to always allow, e.g. the office VPN' }
+    ],
+    tools: ['get_server', 'list_system_users', 'list_ssh_keys', 'get_ssh_settings', 'update_ssh_settings', 'list_firewall_rules', 'create_firewall_rule', 'deploy_firewall_rules', 'update_server_autoupdate'],
+    text: (args) => {
+      const ports = ['80', '443', args.sshPort || '22', ...(args.allowedPorts || '').split(',').map((port) => port.trim())]
+        .filter(Boolean);
+      return [
+        `Harden server "${args.server}".`,
+        '',
+        numbered([
+          serverStep(args.server),
+          'Show the current SSH settings with `get_ssh_settings`.',
+          'Check with `list_system_users` and `list_ssh_keys` (`systemUser` takes the user name) that at least one system user has an SSH key; if none has, stop and tell me before locking down SSH.',
+          'Disable root login and password logins with `update_ssh_settings` (preventRootLogin true, passwordlessLogin true).',
+          'List the existing rules with `list_firewall_rules`.',
+          `Create missing \`create_firewall_rule\` rules of type "port", protocol "tcp", firewallAction "accept" for ports ${[...new Set(ports)].join(', ')}.`,
+          args.adminIp
+            ? `Create a \`create_firewall_rule\` rule of type "ip" accepting ${args.adminIp}.`
+            : null,
+          'Apply the rules with `deploy_firewall_rules`.',
+          'Enable automatic security updates with `update_server_autoupdate` (securityUpdate true).',
+          'Summarize every change made and anything that still needs manual attention.'
+        ])
+      ].join('\n');
+    }
+  }
+];
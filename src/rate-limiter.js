@@ -0,0 +1,105 @@
+// Client-side token bucket in front of the RunCloud API. Requests over budget
+// are queued (FIFO) until a token is available instead of failing with 429.
+export class RateLimiter {
+  constructor({ requestsPerMinute = 60, burst = requestsPerMinute } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.burst = burst;
+    this.rate = requestsPerMinute / 60000; // tokens per ms
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.queue = [];
+    this.timer = null;
+    this.sent = []; // timestamps of requests let through in the last minute
+    this.totalRequests = 0;
+    this.totalWaitMs = 0;
+    this.server = null; // X-RateLimit-* values last reported by RunCloud
+  }
+
+  get enabled() {
+    return this.requestsPerMinute > 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate);
+    this.updatedAt = now;
+  }
+
+  acquire() {
+    if (!this.enabled) return Promise.resolve();
+    return new Promise((resolve) => {
+      this.queue.push({ resolve, queuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  drain() {
+    this.refill();
+    while (this.queue.length && this.tokens >= 1) {
+      this.tokens -= 1;
+      const { resolve, queuedAt } = this.queue.shift();
+      const now = Date.now();
+      this.sent.push(now);
+      this.totalRequests += 1;
+      this.totalWaitMs += now - queuedAt;
+      resolve();
+    }
+    if (this.queue.length && !this.timer) {
+      const wait = Math.ceil((1 - this.tokens) / this.rate);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+
+  // Align the bucket with the quota RunCloud reports, so requests made by
+  // other clients with the same API key are accounted for as well
+  observe(headers = {}) {
+    const limit = Number(headers['x-ratelimit-limit']);
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    if (!Number.isFinite(remaining)) return;
+    this.server = {
+      limit: Number.isFinite(limit) ? limit : null,
+      remaining,
+      observedAt: new Date().toISOString()
+    };
+    this.refill();
+    if (remaining < this.tokens) this.tokens = remaining;
+  }
+
+  status() {
+    this.refill();
+    const minuteAgo = Date.now() - 60000;
+    this.sent = this.sent.filter((time) => time > minuteAgo);
+    return {
+      enabled: this.enabled,
+      requestsPerMinute: this.requestsPerMinute,
+      burst: this.burst,
+      available: this.enabled ? Math.floor(this.tokens) : null,
+      queued: this.queue.length,
+      usedLastMinute: this.sent.length,
+      totalRequests: this.totalRequests,
+      averageWaitMs: this.totalRequests ? Math.round(this.totalWaitMs / this.totalRequests) : 0,
+      runcloud: this.server
+    };
+  }
+}
+
+export function attachRateLimiter(client, limiter) {
+  client.interceptors.request.use(async (config) => {
+    await limiter.acquire();
+    return config;
+  });
+  client.interceptors.response.use(
+    (response) => {
+      limiter.observe(response.headers);
+      return response;
+    },
+    (error) => {
+      if (error.response) limiter.observe(error.response.headers);
+      throw error;
+    }
+  );
+  return limiter;
+}
@@ -0,0 +1,65 @@
+// Masking of secrets in data shown back to agents or written to logs
+
+// Compared case-insensitively with underscores removed, so `admin_password`,
+// `adminPassword` and `ADMIN_PASSWORD` all match
+const SENSITIVE_KEYS = [
+  'password',
+  'adminpassword',
+  'privatekey',
+  'secret',
+  'secretkey',
+  'apisecret',
+  'clientsecret',
+  'deploykey',
+  'passphrase'
+];
+
+// PEM blocks (private keys, certificates, CSRs) anywhere inside a string
+const PEM_BLOCK = /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g;
+
+export const MASK = '********';
+
+function normalizeKey(key) {
+  return key.replace(/[_-]/g, '').toLowerCase();
+}
+
+export function isSensitiveKey(key, extraKeys = []) {
+  const normalized = normalizeKey(key);
+  return SENSITIVE_KEYS.includes(normalized) || extraKeys.some((extra) => normalizeKey(extra) === normalized);
+}
+
+// Mask PEM blocks (keeping their BEGIN/END lines) and any of the given
+// literal secret values in free text such as error messages
+export function redactText(text, secrets = []) {
+  if (typeof text !== 'string') return text;
+  let redacted = text.replace(PEM_BLOCK, (match, label) => `-----BEGIN ${label}-----\n${MASK}\n-----END ${label}-----`);
+  for (const secret of secrets) {
+    if (secret.length >= 4) redacted = redacted.split(secret).join(MASK);
+  }
+  return redacted;
+}
+
+// Mask values of sensitive fields (plus tool-specific `extraKeys`) and PEM
+// blocks in strings, recursively
+export function maskSecrets(value, extraKeys = []) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map((item) => maskSecrets(item, extraKeys));
+  if (!value || typeof value !== 'object') return value;
+  const masked = {};
+  for (const [key, item] of Object.entries(value)) {
+    masked[key] = isSensitiveKey(key, extraKeys) && item !== undefined && item !== null && item !== ''
+      ? MASK
+      : maskSecrets(item, extraKeys);
+  }
+  return masked;
+}
+
+// String values of sensitive fields, so they can be scrubbed from messages
+// that echo them back (e.g. RunCloud validation errors)
+export function secretValues(value, extraKeys = []) {
+  if (Array.isArray(value)) return value.flatMap((item) => secretValues(item, extraKeys));
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, item]) =>
+    isSensitiveKey(key, extraKeys) && typeof item === 'string' ? [item] : secretValues(item, extraKeys)
+  );
+}
@@ -0,0 +1,212 @@
+import servers from './tools/servers.js';
+import webapps from './tools/webapps.js';
+import git from './tools/git.js';
+import domains from './tools/domains.js';
+import ssl from './tools/ssl.js';
+import databases from './tools/databases.js';
+import users from './tools/users.js';
+import jobs from './tools/jobs.js';
+import services from './tools/services.js';
+import installers from './tools/installers.js';
+import security from './tools/security.js';
+import staticData from './tools/static.js';
+import externalApi from './tools/external-api.js';
+import runtime from './tools/runtime.js';
+import { FORMATS } from './format.js';
+
+// Every RunCloud-backed tool accepts the account (profile) to run against
+const accountProperty = {
+  account: { type: 'string', description: 'Name of the RunCloud account to use (see list_accounts); defaults to the default account' }
+};
+
+// Destructive tools (with a `confirm` preview) run in two phases
+const confirmationProperty = {
+  confirmationToken: { type: 'string', description: 'Token returned by the first (preview) call; required to actually perform the deletion' }
+};
+
+// Mutating tools can show the request they would send instead of sending it
+const dryRunProperty = {
+  dryRun: { type: 'boolean', description: 'Return the HTTP method, path and body that would be sent to RunCloud (secrets masked) without sending it' }
+};
+
+// Responses are returned with secrets masked unless explicitly requested
+// (and allowed by RUNCLOUD_ALLOW_REVEAL_SECRETS)
+const revealSecretsProperty = {
+  revealSecrets: { type: 'boolean', description: 'Return passwords, keys, secrets and PEM blocks in the response unmasked (requires RUNCLOUD_ALLOW_REVEAL_SECRETS=true)' }
+};
+
+// Every tool's output can be reshaped (see format.js)
+const outputProperties = {
+  format: { type: 'string', enum: FORMATS, description: 'Output format: json (default), compact (single-line JSON), markdown (tables), yaml or table (plain-text columns)' },
+  fields: { type: 'array', items: { type: 'string' }, description: 'Only return these fields of each item (or of the object), e.g. ["id", "name", "phpVersion"]; dotted paths select nested fields' }
+};
+
+// Names accepted in place of numeric IDs (resolved in names.js). `applies`
+// picks the tools whose ID argument refers to that kind of resource.
+const nameReferences = [
+  {
+    name: 'server',
+    id: 'serverId',
+    description: 'Server name, instead of serverId',
+    applies: (tool) => tool.path.includes('{serverId}')
+  },
+  {
+    name: 'webapp',
+    id: 'webappId',
+    description: 'Web application name, instead of webappId',
+    applies: (tool) => tool.path.includes('{webappId}')
+  },
+  {
+    name: 'domain',
+    id: 'domainId',
+    description: 'Domain name (e.g. example.com), instead of domainId',
+    applies: (tool) => tool.path.includes('{domainId}')
+  },
+  {
+    name: 'systemUser',
+    id: 'userId',
+    description: 'System user name, instead of userId',
+    applies: (tool) => tool.path.includes('/users/{userId}')
+  },
+  {
+    name: 'systemUser',
+    id: 'user',
+    description: 'System user name, instead of user',
+    applies: (tool) => Boolean(tool.inputSchema.properties.user) && tool.inputSchema.properties.user.type === 'number'
+  }
+];
+
+// Add the name alternative of every ID argument the tool takes. The ID is no
+// longer required in the advertised schema; names.js enforces "ID or name".
+function withNameReferences(tool, properties) {
+  const references = [];
+  let required = tool.inputSchema.required || [];
+  for (const reference of nameReferences) {
+    if (!reference.applies(tool)) continue;
+    properties[reference.name] = { type: 'string', description: reference.description };
+    references.push({ id: reference.id, name: reference.name, required: required.includes(reference.id) });
+    required = required.filter((key) => key !== reference.id);
+  }
+  return { references, required };
+}
+
+function withCommonProperties(tool) {
+  if (!tool.path) {
+    return {
+      ...tool,
+      inputSchema: { ...tool.inputSchema, properties: { ...tool.inputSchema.properties, ...outputProperties } }
+    };
+  }
+  const properties = { ...tool.inputSchema.properties };
+  const { references, required } = withNameReferences(tool, properties);
+  Object.assign(properties, accountProperty, revealSecretsProperty, outputProperties);
+  if (isMutating(tool)) Object.assign(properties, dryRunProperty);
+  let description = tool.description;
+  if (tool.confirm) {
+    Object.assign(properties, confirmationProperty);
+    description += '. Two-phase: the first call only returns a preview of what will be removed and a confirmationToken; call again with the same arguments plus confirmationToken to perform it';
+  }
+  return {
+    ...tool,
+    description,
+    references,
+    inputSchema: { ...tool.inputSchema, properties, ...(tool.inputSchema.required && { required }) }
+  };
+}
+
+// Every tool is declared once in ./tools: name, category, inputSchema and the
+// RunCloud request it maps to (method, path template, query/body mapping).
+// Tools that do not call RunCloud provide a `handler(args)` instead; `redact`
+// lists response fields to mask on top of the common sensitive ones.
+export const tools = [
+  ...servers,
+  ...webapps,
+  ...git,
+  ...domains,
+  ...ssl,
+  ...databases,
+  ...users,
+  ...jobs,
+  ...services,
+  ...installers,
+  ...security,
+  ...staticData,
+  ...externalApi,
+  ...runtime
+].map(withCommonProperties);
+
+// Reduced tool sets served by index-basic.js and index-v1.js
+const TIERS = {
+  basic: [
+    'list_servers', 'get_server', 'get_server_stats',
+    'list_webapps', 'get_webapp', 'create_webapp',
+    'list_databases', 'create_database', 'list_database_users', 'create_database_user',
+    'list_services', 'control_service',
+    'deploy_git'
+  ],
+  v1: [
+    'list_servers', 'get_server', 'create_server', 'delete_server', 'get_server_stats',
+    'get_server_hardware_info', 'get_installation_script',
+    'list_webapps', 'get_webapp', 'create_webapp', 'delete_webapp', 'set_webapp_default',
+    'rebuild_webapp', 'update_webapp_settings',
+    'clone_git_repository', 'get_git_info', 'change_git_branch', 'deploy_git',
+    'list_domains', 'add_domain', 'delete_domain',
+    'install_ssl', 'get_ssl_info',
+    'list_databases', 'create_database', 'delete_database',
+    'list_database_users', 'create_database_user', 'delete_database_user',
+    'update_database_user_password', 'grant_database_access', 'revoke_database_access',
+    'list_system_users', 'create_system_user', 'delete_system_user', 'update_system_user_password',
+    'list_ssh_keys', 'add_ssh_key', 'delete_ssh_key',
+    'list_cron_jobs', 'create_cron_job', 'delete_cron_job',
+    'list_services', 'control_service',
+    'list_supervisor_jobs', 'create_supervisor_job', 'delete_supervisor_job', 'control_supervisor_job',
+    'get_server_logs', 'get_webapp_logs',
+    'list_firewall_rules', 'create_firewall_rule', 'delete_firewall_rule',
+    'install_script',
+    'health_check'
+  ]
+};
+
+export function getTools(tier = 'full') {
+  if (tier === 'full') return tools;
+  const names = TIERS[tier];
+  if (!names) {
+    throw new Error(`Unknown tool tier: ${tier}`);
+  }
+  return tools.filter((tool) => names.includes(tool.name));
+}
+
+// Whether calling the tool can change anything on RunCloud. Tools with a
+// custom handler only report local state unless they declare `mutating: true`.
+export function isMutating(tool) {
+  return tool.method ? tool.method !== 'GET' : Boolean(tool.mutating);
+}
+
+// Copy a query/body mapping out of the tool arguments. A mapping is either a
+// list of argument names (copied when defined) or a function of the arguments.
+function mapArgs(mapping, args) {
+  if (!mapping) return undefined;
+  if (typeof mapping === 'function') return mapping(args);
+  const data = {};
+  for (const key of mapping) {
+    if (args[key] !== undefined) data[key] = args[key];
+  }
+  return data;
+}
+
+// Resolve a tool call into an axios request config
+export function buildRequest(tool, args = {}) {
+  const values = { ...tool.defaults };
+  for (const [key, value] of Object.entries(args)) {
+    if (value !== undefined) values[key] = value;
+  }
+  const url = tool.path.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(values[key]));
+  return {
+    method: tool.method,
+    url,
+    params: mapArgs(tool.query, values),
+    data: mapArgs(tool.body, values),
+    // Extra keys to mask when the exchange is recorded (see fixtures.js)
+    redact: tool.redact
+  };
+}
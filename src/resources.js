@@ -0,0 +1,74 @@
+// MCP resources exposing RunCloud objects as attachable context. Each URI
+// template is backed by the read tool that fetches it; `{param}` segments map
+// to that tool's arguments. Query parameters are passed as extra arguments,
+// e.g. runcloud://servers/1?account=client-a or .../logs/error?lines=200.
+export const resourceTemplates = [
+  {
+    uriTemplate: 'runcloud://servers',
+    name: 'servers',
+    description: 'All servers in the RunCloud account',
+    tool: 'list_servers',
+    all: true
+  },
+  {
+    uriTemplate: 'runcloud://servers/{serverId}',
+    name: 'server',
+    description: 'Details of a server',
+    tool: 'get_server'
+  },
+  {
+    uriTemplate: 'runcloud://servers/{serverId}/webapps',
+    name: 'webapps',
+    description: 'All web applications on a server',
+    tool: 'list_webapps',
+    all: true
+  },
+  {
+    uriTemplate: 'runcloud://servers/{serverId}/webapps/{webappId}',
+    name: 'webapp',
+    description: 'Details of a web application',
+    tool: 'get_webapp'
+  },
+  {
+    uriTemplate: 'runcloud://servers/{serverId}/webapps/{webappId}/logs/{type}',
+    name: 'webapp-logs',
+    description: 'Logs of a web application (type: error, access or php_error)',
+    tool: 'get_webapp_logs'
+  }
+].map((template) => ({
+  ...template,
+  mimeType: 'application/json',
+  pattern: new RegExp(`^${template.uriTemplate.replace(/\{(\w+)\}/g, '(?<$1>[^/?]+)')}$`)
+}));
+
+// Convert a URI value to the type the backing tool's schema expects
+function coerce(tool, key, value) {
+  const schema = tool.inputSchema.properties[key];
+  if (schema && schema.type === 'number' && /^\d+$/.test(value)) return Number(value);
+  if (schema && schema.type === 'boolean') return value === 'true';
+  return value;
+}
+
+// Resolve a resource URI to its template and the arguments of its backing
+// tool, looked up in `tools` (the server's tool set by name), or null when no
+// template matches. The tool itself may be missing from the set.
+export function matchResource(uri, tools) {
+  const [base, search = ''] = uri.split('?');
+  for (const template of resourceTemplates) {
+    const match = base.match(template.pattern);
+    if (!match) continue;
+
+    const tool = tools.get(template.tool);
+    if (!tool) return { template, args: {} };
+    const params = Object.entries(match.groups || {})
+      .map(([key, value]) => [key, decodeURIComponent(value)])
+      .concat([...new URLSearchParams(search)]);
+    const args = {};
+    for (const [key, value] of params) {
+      args[key] = coerce(tool, key, value);
+    }
+    if (template.all) args.all = true;
+    return { template, args };
+  }
+  return null;
+}
@@ -0,0 +1,56 @@
+// Retry transient RunCloud failures with jittered exponential backoff.
+// Only idempotent methods are retried; POST/PATCH (create_webapp, deploy_git,
+// ...) are never replayed because the first attempt may already have applied.
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+  const method = (error.config.method || 'get').toLowerCase();
+  if (!IDEMPOTENT_METHODS.includes(method)) return false;
+  // Network errors (socket reset, timeout, DNS) have no response
+  if (!error.response) return error.code !== 'ERR_CANCELED';
+  return RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(error) {
+  const header = error.response && error.response.headers['retry-after'];
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  // "Full jitter": spread retries from many clients over the whole window
+  return Math.round(Math.random() * ceiling);
+}
+
+export function attachRetry(client, { retries = 3, baseDelay = 500, maxDelay = 10000 } = {}) {
+  client.interceptors.response.use(undefined, async (error) => {
+    const config = error.config;
+    if (!config || retries <= 0 || !isRetryable(error)) throw error;
+
+    const attempt = config.retryAttempt || 0;
+    if (attempt >= retries) throw error;
+
+    // A Retry-After longer than we are willing to wait is surfaced to the
+    // caller (as retryAfter on the rate limit error) instead of stalling
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null && retryAfter > maxDelay) throw error;
+    const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, { baseDelay, maxDelay });
+
+    console.error(
+      `[RunCloud] ${config.method.toUpperCase()} ${config.url} failed (${error.response ? error.response.status : error.code}), ` +
+      `retry ${attempt + 1}/${retries} in ${delay}ms`
+    );
+    await sleep(delay);
+    return client.request({ ...config, retryAttempt: attempt + 1 });
+  });
+  return client;
+}
@@ -0,0 +1,556 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import { getAuditLog, summarizeResult } from './audit.js';
+import { getCache, getClient } from './client.js';
+import { ConfigError, getConfig } from './config.js';
+import { ConfirmationStore } from './confirmation.js';
+import { toMcpError } from './errors.js';
+import { FORMATS, renderOutput } from './format.js';
+import { startHttpServer } from './http.js';
+import { resolveNames } from './names.js';
+import { fetchAllPages } from './pagination.js';
+import { prompts } from './prompts.js';
+import { maskSecrets, redactText, secretValues } from './redact.js';
+import { buildRequest, getTools, isMutating, tools as registryTools } from './registry.js';
+import { matchResource, resourceTemplates } from './resources.js';
+import { createToolFilter } from './tool-filter.js';
+import { validateArgs } from './validation.js';
+import { applyWebappDefaults } from './webapp-defaults.js';
+
+export const VERSION = '2.0.1';
+
+export class RunCloudMCPServer {
+  // Options default to the configuration (see config.js)
+  constructor({
+    tier = 'full',
+    config = getConfig(),
+    readOnly = config.tools.readOnly,
+    requireConfirmation = config.tools.requireConfirmation,
+    confirmationTtl = config.tools.confirmationTtl,
+    allowTools = config.tools.allow,
+    denyTools = config.tools.deny,
+    allowRevealSecrets = config.tools.allowRevealSecrets,
+    transport = config.transport,
+    format = config.output.format,
+    maxResponseSize = config.output.maxResponseSize,
+    webappDefaults = config.webappDefaults,
+    webappProfiles = config.webappProfiles
+  } = {}) {
+    this.tools = new Map(getTools(tier).map((tool) => [tool.name, tool]));
+    this.readOnly = readOnly;
+    this.allowRevealSecrets = allowRevealSecrets;
+    // Entries are checked against every tool, so a smaller tier can still
+    // deny tools it does not serve
+    this.isExposed = createToolFilter({ allow: allowTools, deny: denyTools, tools: registryTools });
+    this.confirmations = requireConfirmation
+      ? new ConfirmationStore({ ttlSeconds: confirmationTtl })
+      : null;
+    this.webappDefaults = { defaults: webappDefaults, profiles: webappProfiles };
+    this.httpOptions = config.http;
+
+    if (!['stdio', 'http'].includes(transport)) {
+      throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+    }
+    this.transport = transport;
+
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format: ${format} (expected ${FORMATS.join(', ')})`);
+    }
+    this.format = format;
+    this.maxResponseSize = maxResponseSize;
+
+    // stdio serves a single client; over HTTP every session gets its own
+    // MCP server instance from createServer()
+    this.server = this.createServer();
+
+    process.on('SIGINT', async () => {
+      await this.server.close();
+      if (this.http) await this.http.close();
+      process.exit(0);
+    });
+  }
+
+  createServer() {
+    const server = new Server(
+      {
+        name: 'runcloud-mcp-server',
+        version: VERSION,
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {},
+        },
+      }
+    );
+
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+
+    // Error handling
+    server.onerror = (error) => console.error('[MCP Error]', error);
+    return server;
+  }
+
+  // Why a tool may not be used under the current configuration, or null.
+  // Applied both to the tools/list output and to every tool call.
+  blockedReason(tool) {
+    if (!this.isExposed(tool)) {
+      return `Tool ${tool.name} is disabled by configuration (tools.allow / tools.deny, RUNCLOUD_TOOLS_ALLOW / RUNCLOUD_TOOLS_DENY)`;
+    }
+    if (this.readOnly && isMutating(tool)) {
+      return `Tool ${tool.name} modifies RunCloud resources and is disabled in read-only mode (tools.readOnly, RUNCLOUD_READ_ONLY)`;
+    }
+    return null;
+  }
+
+  setupToolHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+      tools: [...this.tools.values()]
+        .filter((tool) => !this.blockedReason(tool))
+        .map(({ name, description, inputSchema }) => ({
+          name,
+          description,
+          inputSchema
+        }))
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, (request) =>
+      this.executeTool(request.params.name, request.params.arguments || {})
+    );
+  }
+
+  // Run a tool call end to end (policy, validation, request, audit). Used by
+  // the MCP handler, by resource reads and by the command line (src/cli.js).
+  // `run` performs the checked call; resources return data instead of text.
+  async executeTool(name, args = {}, run = (tool, resolved, trace) => this.callTool(tool, resolved, trace)) {
+    const trace = {};
+    const startedAt = Date.now();
+
+    try {
+      const result = await this.handleToolCall(name, args, trace, run);
+      this.audit(name, args, trace, startedAt);
+      return result;
+    } catch (error) {
+      // Errors can echo inputs back (e.g. RunCloud validation messages), so
+      // they never carry secrets, even when revealing is enabled
+      error.message = redactText(error.message, secretValues(args));
+      if (error.data) error.data = maskSecrets(error.data);
+      this.audit(name, args, trace, startedAt, error);
+      throw error;
+    }
+  }
+
+  async handleToolCall(name, args, trace, run) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      throw new McpError(
+        ErrorCode.MethodNotFound,
+        `Unknown tool: ${name}`
+      );
+    }
+
+    const reason = this.blockedReason(tool);
+    if (reason) {
+      throw new McpError(ErrorCode.InvalidRequest, reason);
+    }
+
+    validateArgs(tool, args);
+    if (args.revealSecrets && !this.allowRevealSecrets) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'Revealing secrets is disabled. Set RUNCLOUD_ALLOW_REVEAL_SECRETS=true (or tools.allowRevealSecrets in the config file) to allow revealSecrets.'
+      );
+    }
+    const resolved = await resolveNames(tool, args);
+    // The audit log records the IDs resolved from names too
+    trace.args = resolved;
+    return run(tool, resolved, trace);
+  }
+
+  setupResourceHandlers(server) {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: resourceTemplates
+        .filter((template) => !this.resourceBlockedReason(template))
+        .map(({ uriTemplate, name, description, mimeType }) => ({
+          uriTemplate,
+          name,
+          description,
+          mimeType
+        }))
+    }));
+
+    server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+      resources: await this.listResources()
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { data, mimeType } = await this.readResource(uri);
+      return {
+        contents: [{ uri, mimeType, text: JSON.stringify(data, null, 2) }]
+      };
+    });
+  }
+
+  // Concrete resources: the server list plus one entry per server (web
+  // applications and logs are reachable through the templates). Only the
+  // templates the configuration allows are listed, and a failing server
+  // list leaves just the static entry rather than failing the request.
+  async listResources() {
+    const allowed = (name) => !this.resourceBlockedReason(resourceTemplates.find((template) => template.name === name));
+    if (!allowed('servers')) return [];
+
+    const resources = [
+      { uri: 'runcloud://servers', name: 'servers', description: 'All servers in the RunCloud account', mimeType: 'application/json' }
+    ];
+    if (!allowed('server')) return resources;
+
+    let servers;
+    try {
+      servers = (await this.readResource('runcloud://servers')).data.data || [];
+    } catch (error) {
+      console.error(`[Resources] Could not list servers: ${error.message}`);
+      return resources;
+    }
+    return resources.concat(servers.map((server) => ({
+      uri: `runcloud://servers/${server.id}`,
+      name: server.name || `server ${server.id}`,
+      description: server.ipAddress ? `RunCloud server ${server.ipAddress}` : 'RunCloud server',
+      mimeType: 'application/json'
+    })));
+  }
+
+  // A resource template is offered only when its backing tool can be called
+  resourceBlockedReason(template) {
+    const tool = this.tools.get(template.tool);
+    if (!tool) return `Tool ${template.tool} is not part of this server's tool set`;
+    return this.blockedReason(tool);
+  }
+
+  // Resources are read as a call of their backing tool, with the same policy,
+  // validation, names, cache, secret masking and audit log
+  async readResource(uri) {
+    const resource = matchResource(uri, this.tools);
+    if (!resource) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown resource: ${uri}. Supported templates: ${resourceTemplates.map((template) => template.uriTemplate).join(', ')}`
+      );
+    }
+
+    const { template, args } = resource;
+    const reason = this.resourceBlockedReason(template);
+    if (reason) {
+      throw new McpError(ErrorCode.InvalidRequest, `Resource ${uri} is unavailable: ${reason}`);
+    }
+
+    const data = await this.executeTool(template.tool, args, (tool, resolved, trace) => this.fetchResource(tool, resolved, trace));
+    return { data, mimeType: template.mimeType };
+  }
+
+  async fetchResource(tool, args, trace) {
+    try {
+      const { data } = tool.paginated && args.all
+        ? await this.requestAllPages(tool, args, trace)
+        : await this.request(tool, args, trace);
+      return args.revealSecrets ? data : maskSecrets(data, tool.redact);
+    } catch (error) {
+      throw toMcpError(error);
+    }
+  }
+
+  // A prompt is offered only when every tool its runbook uses can be called
+  promptBlockedReason(prompt) {
+    for (const name of prompt.tools) {
+      const tool = this.tools.get(name);
+      if (!tool) return `Tool ${name} is not part of this server's tool set`;
+      const reason = this.blockedReason(tool);
+      if (reason) return reason;
+    }
+    return null;
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: prompts
+        .filter((prompt) => !this.promptBlockedReason(prompt))
+        .map(({ name, description, arguments: args }) => ({
+          name,
+          description,
+          arguments: args
+        }))
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = prompts.find((candidate) => candidate.name === name);
+
+      if (!prompt) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Unknown prompt: ${name}`
+        );
+      }
+
+      const reason = this.promptBlockedReason(prompt);
+      if (reason) {
+        throw new McpError(ErrorCode.InvalidRequest, `Prompt ${name} is unavailable: ${reason}`);
+      }
+
+      const missing = prompt.arguments
+        .filter((argument) => argument.required && !args[argument.name])
+        .map((argument) => argument.name);
+      if (missing.length) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Missing required arguments for prompt ${name}: ${missing.join(', ')}`
+        );
+      }
+
+      return {
+        description: prompt.description,
+        messages: [
+          { role: 'user', content: { type: 'text', text: prompt.text(args) } }
+        ]
+      };
+    });
+  }
+
+  // `trace` collects what the call did (RunCloud request, status, outcome,
+  // result summary) for the audit log
+  async callTool(tool, args, trace = {}) {
+    // Web application settings the caller left out (see webapp-defaults.js)
+    let defaultsApplied;
+    if (tool.webappDefaults) {
+      ({ args, defaultsApplied } = await this.fillWebappDefaults(tool, args));
+    }
+    if (args.dryRun && tool.path && isMutating(tool)) {
+      const preview = this.dryRun(tool, args, defaultsApplied);
+      trace.outcome = 'dry_run';
+      trace.account = preview.account;
+      trace.request = { method: preview.method, path: preview.path, query: preview.query };
+      return this.textResponse(preview);
+    }
+    if (tool.confirm && this.confirmations) {
+      const preview = await this.confirmDestructive(tool, args);
+      if (preview) {
+        trace.outcome = 'confirmation_required';
+        trace.account = preview.account;
+        return this.textResponse(preview);
+      }
+    }
+    if (tool.handler) {
+      const data = await tool.handler(args);
+      trace.summary = summarizeResult(data);
+      return this.textResponse(maskSecrets(data), args);
+    }
+    if (tool.paginated && (args.all || args.maxItems)) {
+      return this.apiResponse(this.requestAllPages(tool, args, trace), tool, args);
+    }
+    return this.apiResponse(this.request(tool, args, trace), tool, args, defaultsApplied);
+  }
+
+  // Only the defaults that end up in the request are reported
+  async fillWebappDefaults(tool, args) {
+    const { args: filled, applied } = await applyWebappDefaults(args, this.webappDefaults);
+    const body = buildRequest(tool, filled).data;
+    return {
+      args: filled,
+      defaultsApplied: Object.fromEntries(Object.entries(applied).filter(([key]) => body[key] !== undefined))
+    };
+  }
+
+  audit(name, args, trace, startedAt, error) {
+    getAuditLog().record(maskSecrets({
+      timestamp: new Date(startedAt).toISOString(),
+      tool: name,
+      account: trace.account || args.account || null,
+      args: { ...args, ...trace.args },
+      request: trace.request || null,
+      status: error ? (error.data && error.data.status) || null : trace.status || null,
+      durationMs: Date.now() - startedAt,
+      outcome: error ? 'error' : trace.outcome || 'success',
+      result: error ? { error: error.message } : trace.summary || null
+    }));
+  }
+
+  // Describe the request a mutating tool would send, including the fields
+  // that were filled in from defaults rather than given by the caller
+  dryRun(tool, args, defaultsApplied) {
+    const { account, api } = getClient(args.account);
+    const request = buildRequest(tool, args);
+    const body = request.data && typeof request.data === 'object' ? request.data : null;
+    return {
+      dryRun: true,
+      tool: tool.name,
+      account,
+      method: request.method,
+      path: request.url,
+      url: `${api.defaults.baseURL}${request.url}`,
+      query: request.params,
+      body: maskSecrets(request.data, tool.redact),
+      defaultsApplied: defaultsApplied || (body ? Object.keys(body).filter((key) => args[key] === undefined) : [])
+    };
+  }
+
+  // Two-phase protocol for destructive tools. Without a token, returns a
+  // preview of what would be removed plus a confirmation token; with a valid
+  // token, returns null so the call proceeds.
+  async confirmDestructive(tool, args) {
+    const { account, api } = getClient(args.account);
+    const request = buildRequest(tool, args);
+    const key = ConfirmationStore.key(account, request);
+
+    if (args.confirmationToken !== undefined) {
+      if (!this.confirmations.consume(args.confirmationToken, key)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Invalid or expired confirmationToken for ${tool.name}. Call ${tool.name} without confirmationToken to get a new preview and token.`
+        );
+      }
+      return null;
+    }
+
+    const get = async (path) => {
+      try {
+        return (await api.get(path)).data;
+      } catch (error) {
+        return { error: toMcpError(error).message };
+      }
+    };
+    const { token, expiresAt } = this.confirmations.issue(key);
+    return {
+      status: 'confirmation_required',
+      tool: tool.name,
+      account,
+      request: `${request.method} ${request.url}`,
+      willDelete: await tool.confirm(get, args),
+      confirmationToken: token,
+      expiresAt,
+      next: `Review the preview, then call ${tool.name} again with the same arguments and confirmationToken "${token}" to proceed.`
+    };
+  }
+
+  // Send a tool's RunCloud request, serving cacheable GETs from the response
+  // cache and invalidating cached paths touched by mutating requests
+  async request(tool, args, trace = {}) {
+    const { account, api } = getClient(args.account);
+    const config = buildRequest(tool, args);
+    const cache = getCache();
+    trace.account = account;
+    trace.request = { method: config.method, path: config.url, query: config.params };
+
+    if (tool.cacheTtl && args.cache !== false) {
+      const cached = cache.get(account, config);
+      if (cached !== undefined) {
+        trace.outcome = 'cached';
+        trace.summary = summarizeResult(cached);
+        return { data: cached };
+      }
+    }
+
+    const response = await api.request(config);
+    trace.status = response.status;
+    trace.summary = summarizeResult(response.data);
+    if (tool.cacheTtl) {
+      cache.set(account, config, response.data, tool.cacheTtl);
+    } else if (tool.method !== 'GET') {
+      cache.invalidate(account, config.url);
+    }
+    return response;
+  }
+
+  // Merge every page of a list_* tool into a single response
+  async requestAllPages(tool, args, trace = {}) {
+    const { account, api } = getClient(args.account);
+    const config = buildRequest(tool, args);
+    trace.account = account;
+    trace.request = { method: config.method, path: config.url, query: config.params, allPages: true };
+
+    const data = await fetchAllPages(
+      async (page) => {
+        const response = await api.request(buildRequest(tool, { ...args, page }));
+        trace.status = response.status;
+        return response.data;
+      },
+      { maxItems: args.maxItems }
+    );
+    trace.summary = summarizeResult(data);
+    return { data };
+  }
+
+  // Tool results honour the caller's `format` and `fields`; previews (dry
+  // run, confirmation) are returned whole so no token or request is lost
+  textResponse(data, args) {
+    const text = args
+      ? renderOutput(data, {
+        format: args.format || this.format,
+        fields: args.fields,
+        maxSize: this.maxResponseSize
+      })
+      : JSON.stringify(data, null, 2);
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ]
+    };
+  }
+
+  // Helper method for API responses. Secrets in the response are masked
+  // unless the caller asked for them with revealSecrets.
+  async apiResponse(promise, tool, args = {}, defaultsApplied) {
+    try {
+      const response = await promise;
+      const data = args.revealSecrets ? response.data : maskSecrets(response.data, tool.redact);
+      return this.textResponse(defaultsApplied ? { ...data, defaultsApplied } : data, args);
+    } catch (error) {
+      throw toMcpError(error);
+    }
+  }
+
+  async run() {
+    const mode = this.readOnly ? ' in read-only mode' : '';
+    if (this.transport === 'http') {
+      const { host, port } = this.httpOptions;
+      this.http = await startHttpServer(() => this.createServer(), this.httpOptions);
+      console.error(`RunCloud MCP Server (v${VERSION}) running${mode} on http://${host}:${port}/mcp (SSE: /sse)...`);
+      return;
+    }
+
+    const transport = new StdioServerTransport();
+    await this.server.connect(transport);
+    console.error(`RunCloud MCP Server (v${VERSION}) running${mode}...`);
+  }
+}
+
+// Start a server for an entry point (index.js, ...). Configuration and
+// startup errors end the process with status 1 rather than leaving it
+// running without a server.
+export async function startServer(options) {
+  try {
+    await new RunCloudMCPServer(options).run();
+  } catch (error) {
+    console.error(error instanceof ConfigError
+      ? `Error: ${error.message}`
+      : `Error: RunCloud MCP Server failed to start: ${error.message}`);
+    process.exit(1);
+  }
+}
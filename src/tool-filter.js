@@ -0,0 +1,56 @@
+import { ConfigError } from './config.js';
+
+// Allow/deny lists for exposed tools. Each entry is one of:
+//   list_servers        - a tool name
+//   delete_*            - a glob over tool names (* and ? wildcards)
+//   Git Integration     - a category name (case-insensitive)
+//   category:SSL*       - a glob over category names (case-insensitive)
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function compileEntry(entry) {
+  if (entry.toLowerCase().startsWith('category:')) {
+    const category = globToRegExp(entry.slice('category:'.length).trim());
+    return (tool) => category.test(tool.category || '');
+  }
+  const name = globToRegExp(entry);
+  return (tool) => name.test(tool.name) || (tool.category || '').toLowerCase() === entry.toLowerCase();
+}
+
+export function parseList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Returns a function telling whether a tool is exposed. The deny list wins
+// over the allow list; an empty allow list allows everything. An entry that
+// matches none of `tools` (e.g. a misspelt category) is a ConfigError.
+export function createToolFilter({ allow = [], deny = [], tools = [] } = {}) {
+  const problems = [];
+  const compile = (list, setting) => parseList(list).map((entry) => {
+    const matches = compileEntry(entry);
+    if (tools.length && !tools.some(matches)) {
+      problems.push(`${setting} entry "${entry}" matches no tool name or category`);
+    }
+    return matches;
+  });
+  const allowed = compile(allow, 'tools.allow (RUNCLOUD_TOOLS_ALLOW)');
+  const denied = compile(deny, 'tools.deny (RUNCLOUD_TOOLS_DENY)');
+  if (problems.length) {
+    const categories = [...new Set(tools.map((tool) => tool.category).filter(Boolean))];
+    throw new ConfigError(`Invalid tool filter (categories: ${categories.join(', ')})`, problems);
+  }
+
+  return (tool) => {
+    if (denied.some((matches) => matches(tool))) return false;
+    return !allowed.length || allowed.some((matches) => matches(tool));
+  };
+}
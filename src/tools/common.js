@@ -0,0 +1,10 @@
+// Schema properties shared by the paginated list_* tools (see paginated: true)
+export const paginationProperties = {
+  all: { type: 'boolean', description: 'Fetch every page and return the merged result instead of a single page' },
+  maxItems: { type: 'number', description: 'Stop after this many items when fetching all pages' }
+};
+
+// Schema property of tools whose responses are cached (see cacheTtl)
+export const cacheProperties = {
+  cache: { type: 'boolean', description: 'Set to false to bypass the response cache and fetch fresh data' }
+};
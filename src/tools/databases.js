@@ -0,0 +1,159 @@
+import { paginationProperties } from './common.js';
+import { deleteDatabasePreview } from './previews.js';
+
+export default [
+  {
+    name: 'list_databases',
+    category: 'Database Management',
+    description: 'List all databases on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        search: { type: 'string', description: 'Search databases by name' },
+        page: { type: 'number', description: 'Page number for pagination' },
+        ...paginationProperties
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/databases',
+    query: ['search', 'page'],
+    paginated: true
+  },
+  {
+    name: 'create_database',
+    category: 'Database Management',
+    description: 'Create a new database on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        name: { type: 'string', description: 'Database name' },
+        collation: { type: 'string', description: 'Database collation' }
+      },
+      required: ['serverId', 'name']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/databases',
+    body: ['name', 'collation'],
+    defaults: { collation: 'utf8mb4_general_ci' }
+  },
+  {
+    name: 'delete_database',
+    category: 'Database Management',
+    description: 'Delete a database',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        databaseId: { type: 'number', description: 'The ID of the database' }
+      },
+      required: ['serverId', 'databaseId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/databases/{databaseId}',
+    confirm: deleteDatabasePreview
+  },
+  {
+    name: 'list_database_users',
+    category: 'Database Users',
+    description: 'List all database users on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        search: { type: 'string', description: 'Search users by name' },
+        page: { type: 'number', description: 'Page number for pagination' },
+        ...paginationProperties
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/databaseusers',
+    query: ['search', 'page'],
+    paginated: true
+  },
+  {
+    name: 'create_database_user',
+    category: 'Database Users',
+    description: 'Create a new database user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        username: { type: 'string', description: 'Database username' },
+        password: { type: 'string', description: 'Database password' }
+      },
+      required: ['serverId', 'username', 'password']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/databaseusers',
+    body: ['username', 'password']
+  },
+  {
+    name: 'delete_database_user',
+    category: 'Database Users',
+    description: 'Delete a database user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the database user' }
+      },
+      required: ['serverId', 'userId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/databaseusers/{userId}'
+  },
+  {
+    name: 'update_database_user_password',
+    category: 'Database Users',
+    description: 'Update database user password',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the database user' },
+        password: { type: 'string', description: 'New password' }
+      },
+      required: ['serverId', 'userId', 'password']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/databaseusers/{userId}',
+    body: ['password']
+  },
+  {
+    name: 'grant_database_access',
+    category: 'Database Users',
+    description: 'Grant database access to a user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the database user' },
+        databaseId: { type: 'number', description: 'The ID of the database' }
+      },
+      required: ['serverId', 'userId', 'databaseId']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/databaseusers/{userId}/grant',
+    body: ['databaseId']
+  },
+  {
+    name: 'revoke_database_access',
+    category: 'Database Users',
+    description: 'Revoke database access from a user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the database user' },
+        databaseId: { type: 'number', description: 'The ID of the database' }
+      },
+      required: ['serverId', 'userId', 'databaseId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/databaseusers/{userId}/grant/{databaseId}'
+  }
+];
@@ -0,0 +1,66 @@
+export default [
+  {
+    name: 'list_domains',
+    category: 'Domain Management',
+    description: 'List all domains for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/domains'
+  },
+  {
+    name: 'get_domain',
+    category: 'Domain Management',
+    description: 'Get information about a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' }
+      },
+      required: ['serverId', 'webappId', 'domainId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}'
+  },
+  {
+    name: 'add_domain',
+    category: 'Domain Management',
+    description: 'Add a domain to a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        name: { type: 'string', description: 'Domain name' }
+      },
+      required: ['serverId', 'webappId', 'name']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/domains',
+    body: ['name']
+  },
+  {
+    name: 'delete_domain',
+    category: 'Domain Management',
+    description: 'Delete a domain from a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' }
+      },
+      required: ['serverId', 'webappId', 'domainId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}'
+  }
+];
@@ -0,0 +1,14 @@
+// Allowed values for enumerated RunCloud parameters, shared by several tools
+
+export const PHP_VERSIONS = [
+  'php70', 'php71', 'php72', 'php73', 'php74',
+  'php80', 'php81', 'php82', 'php83', 'php84'
+];
+
+export const STACKS = ['native', 'hybrid'];
+
+export const STACK_MODES = ['production', 'development'];
+
+export const PROCESS_MANAGERS = ['dynamic', 'ondemand', 'static'];
+
+export const SSL_PROVIDERS = ['letsencrypt', 'custom'];
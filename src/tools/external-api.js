@@ -0,0 +1,80 @@
+export default [
+  {
+    name: 'create_external_api_key',
+    category: '3rd Party API Keys',
+    description: 'Create a new 3rd party API key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', description: 'API key label' },
+        service: { type: 'string', enum: ['cloudflare', 'linode', 'digitalocean'], description: 'Service (cloudflare, linode, digitalocean)' },
+        username: { type: 'string', description: 'Username (for cloudflare)' },
+        secret: { type: 'string', description: 'API key/secret' }
+      },
+      required: ['label', 'service', 'secret']
+    },
+    method: 'POST',
+    path: '/settings/externalapi',
+    body: ['label', 'service', 'secret', 'username']
+  },
+  {
+    name: 'list_external_api_keys',
+    category: '3rd Party API Keys',
+    description: 'List all 3rd party API keys',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'Search API keys by label' }
+      }
+    },
+    method: 'GET',
+    path: '/settings/externalapi',
+    query: ['search']
+  },
+  {
+    name: 'get_external_api_key',
+    category: '3rd Party API Keys',
+    description: 'Get information about a specific API key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        apiId: { type: 'number', description: 'The ID of the API key' }
+      },
+      required: ['apiId']
+    },
+    method: 'GET',
+    path: '/settings/externalapi/{apiId}'
+  },
+  {
+    name: 'update_external_api_key',
+    category: '3rd Party API Keys',
+    description: 'Update a 3rd party API key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        apiId: { type: 'number', description: 'The ID of the API key' },
+        label: { type: 'string', description: 'API key label' },
+        username: { type: 'string', description: 'Username' },
+        secret: { type: 'string', description: 'API key/secret' }
+      },
+      required: ['apiId']
+    },
+    method: 'PATCH',
+    path: '/settings/externalapi/{apiId}',
+    body: ['label', 'username', 'secret']
+  },
+  {
+    name: 'delete_external_api_key',
+    category: '3rd Party API Keys',
+    description: 'Delete a 3rd party API key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        apiId: { type: 'number', description: 'The ID of the API key' }
+      },
+      required: ['apiId']
+    },
+    method: 'DELETE',
+    path: '/settings/externalapi/{apiId}'
+  }
+];
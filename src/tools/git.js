@@ -0,0 +1,111 @@
+import { deleteGitRepositoryPreview } from './previews.js';
+
+export default [
+  {
+    name: 'clone_git_repository',
+    category: 'Git Integration',
+    description: 'Clone a git repository for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        provider: { type: 'string', enum: ['github', 'gitlab', 'bitbucket', 'custom'], description: 'Git provider (github, gitlab, bitbucket, custom)' },
+        repository: { type: 'string', description: 'Repository URL or path' },
+        branch: { type: 'string', description: 'Branch name' },
+        autoDeploy: { type: 'boolean', description: 'Enable auto-deployment' },
+        deployKey: { type: 'string', description: 'Deploy key for private repositories' }
+      },
+      required: ['serverId', 'webappId', 'provider', 'repository', 'branch']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/git',
+    body: ['provider', 'repository', 'branch', 'autoDeploy', 'deployKey'],
+    defaults: { autoDeploy: false }
+  },
+  {
+    name: 'get_git_info',
+    category: 'Git Integration',
+    description: 'Get git repository information for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/git'
+  },
+  {
+    name: 'change_git_branch',
+    category: 'Git Integration',
+    description: 'Change git branch for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        gitId: { type: 'number', description: 'The ID of the git repository' },
+        branch: { type: 'string', description: 'New branch name' }
+      },
+      required: ['serverId', 'webappId', 'gitId', 'branch']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/git/{gitId}/branch',
+    body: ['branch']
+  },
+  {
+    name: 'deploy_git',
+    category: 'Git Integration',
+    description: 'Deploy code from git repository',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        gitId: { type: 'number', description: 'The ID of the git repository' }
+      },
+      required: ['serverId', 'webappId', 'gitId']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/git/{gitId}/deploy'
+  },
+  {
+    name: 'update_git_deployment_script',
+    category: 'Git Integration',
+    description: 'Customize GIT deployment script',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        gitId: { type: 'number', description: 'The ID of the git repository' },
+        autoDeploy: { type: 'boolean', description: 'Enable auto-deployment' },
+        deployScript: { type: 'string', description: 'Custom deployment script' }
+      },
+      required: ['serverId', 'webappId', 'gitId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/git/{gitId}/script',
+    body: ['autoDeploy', 'deployScript']
+  },
+  {
+    name: 'delete_git_repository',
+    category: 'Git Integration',
+    description: 'Remove GIT repository from web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        gitId: { type: 'number', description: 'The ID of the git repository' }
+      },
+      required: ['serverId', 'webappId', 'gitId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/git/{gitId}',
+    confirm: deleteGitRepositoryPreview
+  }
+];
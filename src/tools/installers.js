@@ -0,0 +1,55 @@
+export default [
+  {
+    name: 'get_installed_script',
+    category: 'Script Installers',
+    description: 'Get installed PHP script information',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/installer'
+  },
+  {
+    name: 'remove_installed_script',
+    category: 'Script Installers',
+    description: 'Remove installed PHP script',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        installerId: { type: 'number', description: 'The ID of the installer' }
+      },
+      required: ['serverId', 'webappId', 'installerId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/installer/{installerId}'
+  },
+  {
+    name: 'install_script',
+    category: 'Script Installers',
+    description: 'Install a script (WordPress, Joomla, Drupal, phpMyAdmin, etc.)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        installerId: { type: 'number', description: 'The ID of the installer script' },
+        admin_username: { type: 'string', description: 'Admin username' },
+        admin_email: { type: 'string', description: 'Admin email' },
+        admin_password: { type: 'string', description: 'Admin password' },
+        site_title: { type: 'string', description: 'Site title' },
+        language: { type: 'string', description: 'Installation language' }
+      },
+      required: ['serverId', 'webappId', 'installerId']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/installer',
+    body: ['installerId', 'admin_username', 'admin_email', 'admin_password', 'site_title', 'language']
+  }
+];
@@ -0,0 +1,122 @@
+export default [
+  {
+    name: 'list_cron_jobs',
+    category: 'Cron Jobs',
+    description: 'List all cron jobs for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/cronjobs'
+  },
+  {
+    name: 'create_cron_job',
+    category: 'Cron Jobs',
+    description: 'Create a new cron job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        label: { type: 'string', description: 'Cron job label' },
+        command: { type: 'string', description: 'Command to execute' },
+        user: { type: 'string', description: 'User to run as' },
+        cronExpression: { type: 'string', description: 'Cron expression (e.g., "0 0 * * *")' }
+      },
+      required: ['serverId', 'webappId', 'label', 'command', 'user', 'cronExpression']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/cronjobs',
+    body: ['label', 'command', 'user', 'cronExpression']
+  },
+  {
+    name: 'delete_cron_job',
+    category: 'Cron Jobs',
+    description: 'Delete a cron job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        cronId: { type: 'number', description: 'The ID of the cron job' }
+      },
+      required: ['serverId', 'webappId', 'cronId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/cronjobs/{cronId}'
+  },
+  {
+    name: 'list_supervisor_jobs',
+    category: 'Supervisor Jobs',
+    description: 'List all supervisor jobs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/supervisorjobs'
+  },
+  {
+    name: 'create_supervisor_job',
+    category: 'Supervisor Jobs',
+    description: 'Create a new supervisor job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        jobName: { type: 'string', description: 'Job name' },
+        user: { type: 'string', description: 'User to run as' },
+        command: { type: 'string', description: 'Command to execute' },
+        directory: { type: 'string', description: 'Working directory' },
+        processCount: { type: 'number', description: 'Number of processes' },
+        autoStart: { type: 'boolean', description: 'Auto-start job' },
+        autoRestart: { type: 'boolean', description: 'Auto-restart job' }
+      },
+      required: ['serverId', 'jobName', 'user', 'command']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/supervisorjobs',
+    body: ['jobName', 'user', 'command', 'directory', 'processCount', 'autoStart', 'autoRestart'],
+    defaults: { directory: '', processCount: 1, autoStart: true, autoRestart: true }
+  },
+  {
+    name: 'delete_supervisor_job',
+    category: 'Supervisor Jobs',
+    description: 'Delete a supervisor job',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        jobId: { type: 'number', description: 'The ID of the supervisor job' }
+      },
+      required: ['serverId', 'jobId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/supervisorjobs/{jobId}'
+  },
+  {
+    name: 'control_supervisor_job',
+    category: 'Supervisor Jobs',
+    description: 'Control a supervisor job (start, stop, restart)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        jobId: { type: 'number', description: 'The ID of the supervisor job' },
+        action: { type: 'string', enum: ['start', 'stop', 'restart'], description: 'Action (start, stop, restart)' }
+      },
+      required: ['serverId', 'jobId', 'action']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/supervisorjobs/{jobId}',
+    body: ['action']
+  }
+];
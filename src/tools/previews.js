@@ -0,0 +1,104 @@
+import { fetchAllPages } from '../pagination.js';
+
+// Previews for the destructive tools that require confirmation (see
+// `confirm` in the tool definitions). Each receives `get(path)`, which returns
+// the RunCloud response body or { error } when that lookup failed, so a
+// missing sub-resource never prevents the preview itself.
+
+function pick(item, fields) {
+  if (!item || item.error) return item;
+  const result = {};
+  for (const field of fields) {
+    if (item[field] !== undefined) result[field] = item[field];
+  }
+  return result;
+}
+
+// Names of the items in a list response; `total` comes from RunCloud's
+// pagination meta unless the list is filtered locally
+function summarizeList(body, field = 'name', filter = null) {
+  if (!body || body.error) return body;
+  const data = Array.isArray(body.data) ? body.data : [];
+  const items = filter ? data.filter(filter) : data;
+  const pagination = !filter && body.meta && body.meta.pagination;
+  return {
+    total: pagination ? pagination.total : items.length,
+    names: items.map((item) => item[field])
+  };
+}
+
+// Every page of a list, so the preview does not understate what is affected.
+// A failed page turns the whole list into { error }.
+async function getAll(get, path) {
+  try {
+    return await fetchAllPages(async (page) => {
+      const body = await get(`${path}?page=${page}`);
+      if (body && body.error) throw body;
+      return body;
+    });
+  } catch (failure) {
+    return failure;
+  }
+}
+
+const server = async (get, { serverId }) =>
+  pick(await get(`/servers/${serverId}`), ['id', 'name', 'ipAddress', 'provider']);
+
+const webapp = async (get, { serverId, webappId }) =>
+  pick(await get(`/servers/${serverId}/webapps/${webappId}`), ['id', 'name', 'rootPath', 'phpVersion', 'stack']);
+
+const domains = async (get, { serverId, webappId }) =>
+  summarizeList(await getAll(get, `/servers/${serverId}/webapps/${webappId}/domains`));
+
+export async function deleteServerPreview(get, args) {
+  return {
+    server: await server(get, args),
+    webapps: summarizeList(await getAll(get, `/servers/${args.serverId}/webapps`)),
+    databases: summarizeList(await getAll(get, `/servers/${args.serverId}/databases`)),
+    systemUsers: summarizeList(await getAll(get, `/servers/${args.serverId}/users`), 'username')
+  };
+}
+
+export async function deleteWebappPreview(get, args) {
+  return {
+    server: await server(get, args),
+    webapp: await webapp(get, args),
+    domains: await domains(get, args)
+  };
+}
+
+export async function deleteDatabasePreview(get, args) {
+  return {
+    server: await server(get, args),
+    database: pick(await get(`/servers/${args.serverId}/databases/${args.databaseId}`), ['id', 'name', 'collation'])
+  };
+}
+
+export async function deleteSystemUserPreview(get, args) {
+  return {
+    server: await server(get, args),
+    systemUser: pick(await get(`/servers/${args.serverId}/users/${args.userId}`), ['id', 'username']),
+    ownedWebapps: summarizeList(
+      await getAll(get, `/servers/${args.serverId}/webapps`),
+      'name',
+      (item) => item.server_user_id === args.userId
+    )
+  };
+}
+
+export async function deleteSslPreview(get, args) {
+  return {
+    server: await server(get, args),
+    webapp: await webapp(get, args),
+    ssl: pick(await get(`/servers/${args.serverId}/webapps/${args.webappId}/ssl`), ['id', 'method', 'renewalDate', 'validUntil']),
+    domains: await domains(get, args)
+  };
+}
+
+export async function deleteGitRepositoryPreview(get, args) {
+  return {
+    server: await server(get, args),
+    webapp: await webapp(get, args),
+    git: pick(await get(`/servers/${args.serverId}/webapps/${args.webappId}/git`), ['id', 'provider', 'repository', 'branch', 'autoDeploy'])
+  };
+}
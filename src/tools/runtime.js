@@ -0,0 +1,66 @@
+import { getAuditLog } from '../audit.js';
+import { getClient, listAccounts } from '../client.js';
+import { describeConfig, getConfig } from '../config.js';
+
+// Tools reporting on this MCP server itself rather than calling RunCloud
+export default [
+  {
+    name: 'list_accounts',
+    category: 'Runtime',
+    description: 'List the RunCloud accounts (profiles) this server can operate on; pass a name as the `account` argument of any tool',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: () => listAccounts()
+  },
+  {
+    name: 'get_rate_limit_status',
+    category: 'Runtime',
+    description: 'Show the client-side RunCloud API request budget: requests per minute, tokens available, queued requests and usage in the last minute',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        account: { type: 'string', description: 'Name of the RunCloud account; defaults to the default account' }
+      }
+    },
+    handler: (args) => {
+      const { account, limiter } = getClient(args.account);
+      return { account, ...limiter.status() };
+    }
+  },
+  {
+    name: 'get_audit_log',
+    category: 'Runtime',
+    description: 'Query the audit log of tool calls (newest first): arguments (secrets masked), RunCloud request, HTTP status, duration and outcome, filtered by tool, server, web application, account or outcome',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tool: { type: 'string', description: 'Only calls of this tool' },
+        serverId: { type: 'number', description: 'Only calls made with this server ID' },
+        webappId: { type: 'number', description: 'Only calls made with this web application ID' },
+        account: { type: 'string', description: 'Only calls made against this account' },
+        outcome: { type: 'string', enum: ['success', 'cached', 'error', 'dry_run', 'confirmation_required'], description: 'Only calls with this outcome' },
+        since: { type: 'string', description: 'Only calls at or after this ISO 8601 timestamp' },
+        limit: { type: 'number', description: 'Maximum entries to return (default: 50)' }
+      }
+    },
+    handler: (args) => {
+      const auditLog = getAuditLog();
+      if (!auditLog.enabled) {
+        return { enabled: false, entries: [], message: 'The audit log is disabled (RUNCLOUD_AUDIT_LOG=false)' };
+      }
+      return { enabled: true, file: auditLog.file, entries: auditLog.query(args) };
+    }
+  },
+  {
+    name: 'show_config',
+    category: 'Runtime',
+    description: 'Show the effective configuration of this server (config file, environment overrides and defaults): profiles, timeout, retry policy, enabled tools, web application defaults and output settings, with API keys, secrets and tokens masked',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: () => describeConfig(getConfig())
+  }
+];
@@ -0,0 +1,118 @@
+export default [
+  {
+    name: 'create_firewall_rule',
+    category: 'Firewall Management',
+    description: 'Create a new firewall rule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        type: { type: 'string', enum: ['ip', 'port'], description: 'Rule type (ip, port)' },
+        port: { type: 'number', description: 'Port number (for port type)' },
+        protocol: { type: 'string', enum: ['tcp', 'udp'], description: 'Protocol (tcp, udp)' },
+        ipAddress: { type: 'string', description: 'IP address (for ip type)' },
+        firewallAction: { type: 'string', enum: ['accept', 'reject'], description: 'Action (accept, reject)' }
+      },
+      required: ['serverId', 'type']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/security/firewalls',
+    body: (args) => {
+      if (args.type === 'port') {
+        return { type: args.type, port: args.port, protocol: args.protocol || 'tcp' };
+      }
+      if (args.type === 'ip') {
+        return { type: args.type, ipAddress: args.ipAddress, firewallAction: args.firewallAction || 'accept' };
+      }
+      return { type: args.type };
+    }
+  },
+  {
+    name: 'list_firewall_rules',
+    category: 'Firewall Management',
+    description: 'List all firewall rules',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/security/firewalls'
+  },
+  {
+    name: 'get_firewall_rule',
+    category: 'Firewall Management',
+    description: 'Get information about a specific firewall rule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        firewallId: { type: 'number', description: 'The ID of the firewall rule' }
+      },
+      required: ['serverId', 'firewallId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/security/firewalls/{firewallId}'
+  },
+  {
+    name: 'deploy_firewall_rules',
+    category: 'Firewall Management',
+    description: 'Deploy firewall rules to the server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'PUT',
+    path: '/servers/{serverId}/security/firewalls'
+  },
+  {
+    name: 'delete_firewall_rule',
+    category: 'Firewall Management',
+    description: 'Delete a firewall rule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        firewallId: { type: 'number', description: 'The ID of the firewall rule' }
+      },
+      required: ['serverId', 'firewallId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/security/firewalls/{firewallId}'
+  },
+  {
+    name: 'list_blocked_ips',
+    category: 'Fail2Ban Management',
+    description: 'List blocked IP addresses in Fail2Ban',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/security/fail2ban/blockedip'
+  },
+  {
+    name: 'unblock_ip',
+    category: 'Fail2Ban Management',
+    description: 'Unblock an IP address from Fail2Ban',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        ip: { type: 'string', description: 'IP address to unblock' }
+      },
+      required: ['serverId', 'ip']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/security/fail2ban/blockedip',
+    body: ['ip']
+  }
+];
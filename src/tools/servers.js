@@ -0,0 +1,226 @@
+import { cacheProperties, paginationProperties } from './common.js';
+import { PHP_VERSIONS } from './enums.js';
+import { deleteServerPreview } from './previews.js';
+
+export default [
+  {
+    name: 'list_servers',
+    category: 'Server Management',
+    description: 'List all servers in your RunCloud account',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'Search servers by name' },
+        page: { type: 'number', description: 'Page number for pagination' },
+        ...paginationProperties
+      }
+    },
+    method: 'GET',
+    path: '/servers',
+    query: ['search', 'page'],
+    paginated: true
+  },
+  {
+    name: 'get_server',
+    category: 'Server Management',
+    description: 'Get detailed information about a specific server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}'
+  },
+  {
+    name: 'create_server',
+    category: 'Server Management',
+    description: 'Create a new server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Server name' },
+        ipAddress: { type: 'string', description: 'Server IP address' },
+        provider: { type: 'string', description: 'Server provider' }
+      },
+      required: ['name', 'ipAddress']
+    },
+    method: 'POST',
+    path: '/servers',
+    body: ['name', 'ipAddress', 'provider'],
+    defaults: { provider: 'custom' }
+  },
+  {
+    name: 'delete_server',
+    category: 'Server Management',
+    description: 'Delete a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server to delete' }
+      },
+      required: ['serverId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}',
+    confirm: deleteServerPreview
+  },
+  {
+    name: 'get_server_stats',
+    category: 'Server Management',
+    description: 'Get statistics for a specific server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/stats'
+  },
+  {
+    name: 'get_server_hardware_info',
+    category: 'Server Management',
+    description: 'Get hardware information for a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/hardwareInfo'
+  },
+  {
+    name: 'get_installation_script',
+    category: 'Server Management',
+    description: 'Get installation script for a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/installationScript',
+    // The script embeds the server's one-time installation token
+    redact: ['script']
+  },
+  {
+    name: 'get_ssh_settings',
+    category: 'Server Settings',
+    description: 'Get SSH configuration for a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/settings/ssh'
+  },
+  {
+    name: 'update_ssh_settings',
+    category: 'Server Settings',
+    description: 'Update SSH configuration for a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        passwordlessLogin: { type: 'boolean', description: 'Enable passwordless login' },
+        useDns: { type: 'boolean', description: 'Use DNS for SSH' },
+        preventRootLogin: { type: 'boolean', description: 'Prevent root login' }
+      },
+      required: ['serverId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/settings/ssh',
+    body: ['passwordlessLogin', 'useDns', 'preventRootLogin']
+  },
+  {
+    name: 'update_server_metadata',
+    category: 'Server Settings',
+    description: 'Update server metadata (name, provider)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        name: { type: 'string', description: 'New server name' },
+        provider: { type: 'string', description: 'Server provider' }
+      },
+      required: ['serverId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/settings/meta',
+    body: ['name', 'provider']
+  },
+  {
+    name: 'update_server_autoupdate',
+    category: 'Server Settings',
+    description: 'Configure auto-update settings for a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        softwareUpdate: { type: 'boolean', description: 'Enable software updates' },
+        securityUpdate: { type: 'boolean', description: 'Enable security updates' }
+      },
+      required: ['serverId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/settings/autoupdate',
+    body: ['softwareUpdate', 'securityUpdate']
+  },
+  {
+    name: 'list_php_versions',
+    category: 'PHP Management',
+    description: 'List available PHP versions on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        ...cacheProperties
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/php/version',
+    cacheTtl: 60 * 60
+  },
+  {
+    name: 'change_php_cli_version',
+    category: 'PHP Management',
+    description: 'Change PHP-CLI version on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        phpVersion: { type: 'string', enum: PHP_VERSIONS, description: 'PHP version (e.g., "php74", "php80", "php81")' }
+      },
+      required: ['serverId', 'phpVersion']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/php/cli',
+    body: ['phpVersion']
+  },
+  {
+    name: 'list_shared_servers',
+    category: 'Shared Servers',
+    description: 'List shared servers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: { type: 'string', description: 'Search shared servers by name' }
+      }
+    },
+    method: 'GET',
+    path: '/servers/shared',
+    query: ['search']
+  }
+];
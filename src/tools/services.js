@@ -0,0 +1,72 @@
+export default [
+  {
+    name: 'list_services',
+    category: 'Services',
+    description: 'List all services with their status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' }
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/services'
+  },
+  {
+    name: 'control_service',
+    category: 'Services',
+    description: 'Control a service (start, stop, restart, reload)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        serviceName: { type: 'string', description: 'Service name' },
+        action: { type: 'string', enum: ['start', 'stop', 'restart', 'reload'], description: 'Action (start, stop, restart, reload)' }
+      },
+      required: ['serverId', 'serviceName', 'action']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/services/{serviceName}',
+    body: ['action']
+  },
+  {
+    name: 'get_server_logs',
+    category: 'Logs',
+    description: 'Get server logs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        type: {
+          type: 'string',
+          enum: ['nginx_error', 'nginx_access', 'apache_error', 'apache_access', 'mysql_error'],
+          description: 'Log type (nginx_error, nginx_access, apache_error, apache_access, mysql_error)'
+        },
+        lines: { type: 'number', description: 'Number of lines to retrieve' }
+      },
+      required: ['serverId', 'type']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/logs/{type}',
+    query: ['lines']
+  },
+  {
+    name: 'get_webapp_logs',
+    category: 'Logs',
+    description: 'Get web application logs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        type: { type: 'string', enum: ['error', 'access', 'php_error'], description: 'Log type (error, access, php_error)' },
+        lines: { type: 'number', description: 'Number of lines to retrieve' }
+      },
+      required: ['serverId', 'webappId', 'type']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/logs/{type}',
+    query: ['lines']
+  }
+];
@@ -0,0 +1,247 @@
+import { SSL_PROVIDERS } from './enums.js';
+import { deleteSslPreview } from './previews.js';
+
+// Certificate material is only sent for custom (non Let's Encrypt) certificates
+function customCertificate(args) {
+  if (args.provider !== 'custom') return {};
+  const data = {
+    privateKey: args.privateKey,
+    certificate: args.certificate
+  };
+  if (args.certificateChain) data.certificateChain = args.certificateChain;
+  return data;
+}
+
+export default [
+  {
+    name: 'get_ssl_info',
+    category: 'SSL Management (Basic)',
+    description: 'Get SSL certificate information for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl'
+  },
+  {
+    name: 'install_ssl',
+    category: 'SSL Management (Basic)',
+    description: 'Install SSL certificate for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        provider: { type: 'string', enum: SSL_PROVIDERS, description: 'SSL provider (letsencrypt, custom)' },
+        hsts: { type: 'boolean', description: 'Enable HSTS' },
+        http: { type: 'boolean', description: 'Allow HTTP access' },
+        ssl_protocol_id: { type: 'number', description: 'SSL protocol ID' },
+        privateKey: { type: 'string', description: 'Private key (custom provider only)' },
+        certificate: { type: 'string', description: 'Certificate (custom provider only)' },
+        certificateChain: { type: 'string', description: 'Certificate chain (custom provider only)' }
+      },
+      required: ['serverId', 'webappId', 'provider']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl',
+    body: (args) => {
+      const data = {
+        provider: args.provider,
+        hsts: args.hsts !== false,
+        http: args.http !== false
+      };
+      if (args.ssl_protocol_id) data.ssl_protocol_id = args.ssl_protocol_id;
+      return { ...data, ...customCertificate(args) };
+    }
+  },
+  {
+    name: 'update_ssl',
+    category: 'SSL Management (Basic)',
+    description: 'Update SSL configuration for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' },
+        hsts: { type: 'boolean', description: 'Enable HSTS' },
+        http: { type: 'boolean', description: 'Allow HTTP access' },
+        ssl_protocol_id: { type: 'number', description: 'SSL protocol ID' },
+        privateKey: { type: 'string', description: 'Private key' },
+        certificate: { type: 'string', description: 'Certificate' },
+        certificateChain: { type: 'string', description: 'Certificate chain' }
+      },
+      required: ['serverId', 'webappId', 'sslId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}',
+    body: ['hsts', 'http', 'ssl_protocol_id', 'privateKey', 'certificate', 'certificateChain']
+  },
+  {
+    name: 'redeploy_ssl',
+    category: 'SSL Management (Basic)',
+    description: 'Redeploy SSL certificate (Let\'s Encrypt only)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' }
+      },
+      required: ['serverId', 'webappId', 'sslId']
+    },
+    method: 'PUT',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}'
+  },
+  {
+    name: 'delete_ssl',
+    category: 'SSL Management (Basic)',
+    description: 'Delete SSL certificate from a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' }
+      },
+      required: ['serverId', 'webappId', 'sslId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}',
+    confirm: deleteSslPreview
+  },
+  {
+    name: 'get_advanced_ssl_status',
+    category: 'SSL Management (Advanced)',
+    description: 'Get advanced SSL status for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl/advanced'
+  },
+  {
+    name: 'switch_ssl_mode',
+    category: 'SSL Management (Advanced)',
+    description: 'Switch SSL mode between basic and advanced',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        advancedSSL: { type: 'boolean', description: 'Enable advanced SSL mode' },
+        autoSSL: { type: 'boolean', description: 'Enable auto SSL' }
+      },
+      required: ['serverId', 'webappId', 'advancedSSL']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/ssl/advanced',
+    body: ['advancedSSL', 'autoSSL'],
+    defaults: { autoSSL: false }
+  },
+  {
+    name: 'install_domain_ssl',
+    category: 'SSL Management (Advanced)',
+    description: 'Install SSL certificate for a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' },
+        provider: { type: 'string', enum: SSL_PROVIDERS, description: 'SSL provider (letsencrypt, custom)' },
+        privateKey: { type: 'string', description: 'Private key' },
+        certificate: { type: 'string', description: 'Certificate' },
+        certificateChain: { type: 'string', description: 'Certificate chain' }
+      },
+      required: ['serverId', 'webappId', 'domainId', 'provider']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/advanced',
+    body: (args) => ({
+      provider: args.provider,
+      ...customCertificate(args)
+    })
+  },
+  {
+    name: 'get_domain_ssl_info',
+    category: 'SSL Management (Advanced)',
+    description: 'Get SSL information for a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' }
+      },
+      required: ['serverId', 'webappId', 'domainId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/advanced'
+  },
+  {
+    name: 'update_domain_ssl',
+    category: 'SSL Management (Advanced)',
+    description: 'Update SSL certificate for a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' },
+        privateKey: { type: 'string', description: 'Private key' },
+        certificate: { type: 'string', description: 'Certificate' },
+        certificateChain: { type: 'string', description: 'Certificate chain' }
+      },
+      required: ['serverId', 'webappId', 'domainId', 'sslId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}',
+    body: ['privateKey', 'certificate', 'certificateChain']
+  },
+  {
+    name: 'redeploy_domain_ssl',
+    category: 'SSL Management (Advanced)',
+    description: 'Redeploy SSL certificate for a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' }
+      },
+      required: ['serverId', 'webappId', 'domainId', 'sslId']
+    },
+    method: 'PUT',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}'
+  },
+  {
+    name: 'delete_domain_ssl',
+    category: 'SSL Management (Advanced)',
+    description: 'Delete SSL certificate from a specific domain',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        domainId: { type: 'number', description: 'The ID of the domain' },
+        sslId: { type: 'number', description: 'The ID of the SSL certificate' }
+      },
+      required: ['serverId', 'webappId', 'domainId', 'sslId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}'
+  }
+];
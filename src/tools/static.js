@@ -0,0 +1,77 @@
+import { cacheProperties } from './common.js';
+
+// RunCloud's static data rarely changes; cache it for a day
+const STATIC_TTL = 24 * 60 * 60;
+
+export default [
+  {
+    name: 'list_database_collations',
+    category: 'Static Data Endpoints',
+    description: 'Get list of available database collations',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...cacheProperties
+      }
+    },
+    method: 'GET',
+    path: '/static/databases/collations',
+    cacheTtl: STATIC_TTL
+  },
+  {
+    name: 'list_timezones',
+    category: 'Static Data Endpoints',
+    description: 'Get list of available timezones',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...cacheProperties
+      }
+    },
+    method: 'GET',
+    path: '/static/timezones',
+    cacheTtl: STATIC_TTL
+  },
+  {
+    name: 'list_script_installers',
+    category: 'Static Data Endpoints',
+    description: 'Get list of available script installers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...cacheProperties
+      }
+    },
+    method: 'GET',
+    path: '/static/webapps/installers',
+    cacheTtl: STATIC_TTL
+  },
+  {
+    name: 'list_ssl_protocols',
+    category: 'Static Data Endpoints',
+    description: 'Get list of available SSL protocols',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        webServer: { type: 'string', enum: ['nginx', 'apache'], description: 'Web server type (nginx, apache)' },
+        ...cacheProperties
+      },
+      required: ['webServer']
+    },
+    method: 'GET',
+    path: '/static/ssl/protocols',
+    query: ['webServer'],
+    cacheTtl: STATIC_TTL
+  },
+  {
+    name: 'health_check',
+    category: 'Health Check',
+    description: 'Check API health status',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    method: 'GET',
+    path: '/ping'
+  }
+];
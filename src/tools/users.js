@@ -0,0 +1,123 @@
+import { paginationProperties } from './common.js';
+import { deleteSystemUserPreview } from './previews.js';
+
+export default [
+  {
+    name: 'list_system_users',
+    category: 'System Users',
+    description: 'List all system users on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        search: { type: 'string', description: 'Search users by name' },
+        page: { type: 'number', description: 'Page number for pagination' },
+        ...paginationProperties
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/users',
+    query: ['search', 'page'],
+    paginated: true
+  },
+  {
+    name: 'create_system_user',
+    category: 'System Users',
+    description: 'Create a new system user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        username: { type: 'string', description: 'System username' },
+        password: { type: 'string', description: 'System user password' }
+      },
+      required: ['serverId', 'username', 'password']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/users',
+    body: ['username', 'password']
+  },
+  {
+    name: 'delete_system_user',
+    category: 'System Users',
+    description: 'Delete a system user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the system user' }
+      },
+      required: ['serverId', 'userId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/users/{userId}',
+    confirm: deleteSystemUserPreview
+  },
+  {
+    name: 'update_system_user_password',
+    category: 'System Users',
+    description: 'Update system user password',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the system user' },
+        password: { type: 'string', description: 'New password' }
+      },
+      required: ['serverId', 'userId', 'password']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/users/{userId}',
+    body: ['password']
+  },
+  {
+    name: 'list_ssh_keys',
+    category: 'SSH Keys',
+    description: 'List SSH keys for a system user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the system user' }
+      },
+      required: ['serverId', 'userId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/users/{userId}/sshkeys'
+  },
+  {
+    name: 'add_ssh_key',
+    category: 'SSH Keys',
+    description: 'Add SSH key for a system user',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the system user' },
+        label: { type: 'string', description: 'SSH key label' },
+        publicKey: { type: 'string', description: 'SSH public key' }
+      },
+      required: ['serverId', 'userId', 'label', 'publicKey']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/users/{userId}/sshkeys',
+    body: ['label', 'publicKey']
+  },
+  {
+    name: 'delete_ssh_key',
+    category: 'SSH Keys',
+    description: 'Delete SSH key',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        userId: { type: 'number', description: 'The ID of the system user' },
+        keyId: { type: 'number', description: 'The ID of the SSH key' }
+      },
+      required: ['serverId', 'userId', 'keyId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/users/{userId}/sshkeys/{keyId}'
+  }
+];
@@ -0,0 +1,291 @@
+import { paginationProperties } from './common.js';
+import { PHP_VERSIONS, PROCESS_MANAGERS, STACKS, STACK_MODES } from './enums.js';
+import { deleteWebappPreview } from './previews.js';
+
+// Settings of a new web application (create_webapp, create_webapp_alias).
+// Those the caller leaves out are filled in by src/webapp-defaults.js from
+// the profile, webappDefaults in the config file and the values below.
+export const webappSettings = {
+  publicPath: { type: 'string', description: 'Public path (e.g., /public)' },
+  phpVersion: { type: 'string', enum: PHP_VERSIONS, description: 'PHP version (e.g., "php81"); defaults to the newest installed on the server' },
+  stack: { type: 'string', enum: STACKS, description: 'Stack (native, hybrid)' },
+  stackMode: { type: 'string', enum: STACK_MODES, description: 'Stack mode (production, development)' },
+  clickjackingProtection: { type: 'boolean', description: 'Enable clickjacking protection' },
+  xssProtection: { type: 'boolean', description: 'Enable XSS protection' },
+  mimeSniffingProtection: { type: 'boolean', description: 'Enable MIME sniffing protection' },
+  processManager: { type: 'string', enum: PROCESS_MANAGERS, description: 'Process manager (dynamic, ondemand, static)' },
+  processManagerMaxChildren: { type: 'number', description: 'Max children processes' },
+  processManagerMaxRequests: { type: 'number', description: 'Max requests per process' },
+  processManagerStartServers: { type: 'number', description: 'Start servers (for dynamic)' },
+  processManagerMinSpareServers: { type: 'number', description: 'Min spare servers (for dynamic)' },
+  processManagerMaxSpareServers: { type: 'number', description: 'Max spare servers (for dynamic)' },
+  openBasedir: { type: 'string', description: 'Open basedir restriction' },
+  timezone: { type: 'string', description: 'Timezone (e.g., UTC)' },
+  disableFunctions: { type: 'string', description: 'Comma-separated disabled functions' },
+  maxExecutionTime: { type: 'number', description: 'Max execution time in seconds' },
+  maxInputTime: { type: 'number', description: 'Max input time in seconds' },
+  maxInputVars: { type: 'number', description: 'Max input variables' },
+  memoryLimit: { type: 'number', description: 'Memory limit in MB' },
+  postMaxSize: { type: 'number', description: 'Max POST size in MB' },
+  uploadMaxFilesize: { type: 'number', description: 'Max upload file size in MB' },
+  sessionGcMaxlifetime: { type: 'number', description: 'Session GC max lifetime in seconds' },
+  allowUrlFopen: { type: 'boolean', description: 'Allow URL fopen' }
+};
+
+// Values of settings nobody chose; phpVersion is the newest PHP version
+// installed on the server instead
+export const builtInWebappDefaults = {
+  publicPath: '/',
+  stack: 'native',
+  stackMode: 'production',
+  clickjackingProtection: true,
+  xssProtection: true,
+  mimeSniffingProtection: true,
+  processManager: 'ondemand',
+  processManagerMaxChildren: 50,
+  processManagerMaxRequests: 500,
+  processManagerStartServers: 2,
+  processManagerMinSpareServers: 1,
+  processManagerMaxSpareServers: 3,
+  timezone: 'UTC',
+  disableFunctions: '',
+  maxExecutionTime: 30,
+  maxInputTime: 60,
+  maxInputVars: 1000,
+  memoryLimit: 256,
+  postMaxSize: 256,
+  uploadMaxFilesize: 256,
+  sessionGcMaxlifetime: 1440,
+  allowUrlFopen: true
+};
+
+// Profiles selectable with the `profile` argument; webappProfiles in the
+// config file adjusts them and adds more
+export const builtInWebappProfiles = {
+  wordpress: {
+    publicPath: '/',
+    processManager: 'ondemand',
+    maxExecutionTime: 300,
+    maxInputVars: 3000,
+    memoryLimit: 256,
+    postMaxSize: 64,
+    uploadMaxFilesize: 64
+  },
+  laravel: {
+    publicPath: '/public',
+    processManager: 'dynamic',
+    maxExecutionTime: 60,
+    memoryLimit: 512,
+    postMaxSize: 64,
+    uploadMaxFilesize: 64
+  },
+  static: {
+    publicPath: '/',
+    processManager: 'ondemand',
+    processManagerMaxChildren: 5,
+    maxExecutionTime: 30,
+    memoryLimit: 128,
+    postMaxSize: 8,
+    uploadMaxFilesize: 8
+  }
+};
+
+const profileProperty = {
+  type: 'string',
+  description: 'Defaults for the settings left out: wordpress, laravel, static or a profile from webappProfiles in the config file'
+};
+
+// Only the dynamic process manager takes these
+const DYNAMIC_SETTINGS = ['processManagerStartServers', 'processManagerMinSpareServers', 'processManagerMaxSpareServers'];
+
+// Request body shared by create_webapp and create_webapp_alias. Defaults are
+// filled in before (see src/webapp-defaults.js), so only given values are sent.
+function webappBody(args) {
+  const data = {};
+  for (const key of ['name', 'domainName', 'user', ...Object.keys(webappSettings)]) {
+    if (args[key] === undefined) continue;
+    if (DYNAMIC_SETTINGS.includes(key) && args.processManager !== 'dynamic') continue;
+    data[key] = args[key];
+  }
+  return data;
+}
+
+export default [
+  {
+    name: 'list_webapps',
+    category: 'Web Applications',
+    description: 'List all web applications on a server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        search: { type: 'string', description: 'Search web applications by name' },
+        page: { type: 'number', description: 'Page number for pagination' },
+        ...paginationProperties
+      },
+      required: ['serverId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps',
+    query: ['search', 'page'],
+    paginated: true
+  },
+  {
+    name: 'get_webapp',
+    category: 'Web Applications',
+    description: 'Get detailed information about a specific web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'GET',
+    path: '/servers/{serverId}/webapps/{webappId}'
+  },
+  {
+    name: 'create_webapp',
+    category: 'Web Applications',
+    description: 'Create a new web application on a server. Settings left out come from `profile`, the configured defaults and the newest PHP version on the server; the response lists them in defaultsApplied',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        name: { type: 'string', description: 'Web application name' },
+        domainName: { type: 'string', description: 'Primary domain name' },
+        user: { type: 'number', description: 'System user ID' },
+        profile: profileProperty,
+        ...webappSettings
+      },
+      required: ['serverId', 'name', 'domainName', 'user']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/custom',
+    body: webappBody,
+    webappDefaults: true
+  },
+  {
+    name: 'delete_webapp',
+    category: 'Web Applications',
+    description: 'Delete a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}',
+    confirm: deleteWebappPreview
+  },
+  {
+    name: 'set_webapp_default',
+    category: 'Web Applications',
+    description: 'Set a web application as default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/default'
+  },
+  {
+    name: 'remove_webapp_default',
+    category: 'Web Applications',
+    description: 'Remove web application from default status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'DELETE',
+    path: '/servers/{serverId}/webapps/{webappId}/default'
+  },
+  {
+    name: 'rebuild_webapp',
+    category: 'Web Applications',
+    description: 'Rebuild a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/rebuild'
+  },
+  {
+    name: 'update_webapp_settings',
+    category: 'Web Applications',
+    description: 'Update web application settings',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        publicPath: { type: 'string', description: 'Public path' },
+        stack: { type: 'string', enum: STACKS, description: 'Stack (native, hybrid)' },
+        stackMode: { type: 'string', enum: STACK_MODES, description: 'Stack mode (production, development)' },
+        clickjackingProtection: { type: 'boolean' },
+        xssProtection: { type: 'boolean' },
+        mimeSniffingProtection: { type: 'boolean' }
+      },
+      required: ['serverId', 'webappId']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/settings/fpmnginx',
+    body: ['publicPath', 'stack', 'stackMode', 'clickjackingProtection', 'xssProtection', 'mimeSniffingProtection']
+  },
+  {
+    name: 'change_webapp_php_version',
+    category: 'Web Applications',
+    description: 'Change PHP version for a web application',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        phpVersion: { type: 'string', enum: PHP_VERSIONS, description: 'PHP version (e.g., "php81")' }
+      },
+      required: ['serverId', 'webappId', 'phpVersion']
+    },
+    method: 'PATCH',
+    path: '/servers/{serverId}/webapps/{webappId}/settings/php',
+    body: ['phpVersion']
+  },
+  {
+    name: 'create_webapp_alias',
+    category: 'Web Applications',
+    description: 'Create a web application alias. Settings left out come from `profile`, the configured defaults and the newest PHP version on the server; the response lists them in defaultsApplied',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'number', description: 'The ID of the server' },
+        webappId: { type: 'number', description: 'The ID of the web application' },
+        name: { type: 'string', description: 'Alias name' },
+        domainName: { type: 'string', description: 'Domain name for alias' },
+        user: { type: 'number', description: 'System user ID' },
+        profile: profileProperty,
+        ...webappSettings
+      },
+      required: ['serverId', 'webappId', 'name', 'domainName', 'user']
+    },
+    method: 'POST',
+    path: '/servers/{serverId}/webapps/{webappId}/alias',
+    body: webappBody,
+    webappDefaults: true
+  }
+];
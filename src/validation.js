@@ -0,0 +1,94 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Check a value against the subset of JSON Schema used by the tool definitions
+// and the config file (type, enum, minimum, required, properties,
+// additionalProperties, items). Returns a list of problems.
+export function validateValue(schema, value, path) {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    errors.push(`${path || 'arguments'} must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum} (got ${value})`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (item === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateValue(properties[key], item, keyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${keyPath} is not a known setting (expected one of: ${Object.keys(properties).join(', ')})`);
+      } else if (typeOf(schema.additionalProperties) === 'object') {
+        errors.push(...validateValue(schema.additionalProperties, item, keyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Validate tool arguments before any request is sent to RunCloud
+export function validateArgs(tool, args) {
+  const errors = validateValue(tool.inputSchema, args, '');
+  // IDs that may be given by name instead (see resolveNames) are not in
+  // `required`, so check them here to report them with the other problems
+  if (typeOf(args) === 'object') {
+    for (const { id, name, required } of tool.references || []) {
+      if (required && args[id] === undefined && args[name] === undefined) {
+        errors.push(`${id} (or ${name}) is required`);
+      }
+    }
+  }
+  if (errors.length) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Invalid arguments for ${tool.name}: ${errors.join('; ')}`,
+      { errors }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { getCache, getClient } from './client.js';
+import { toMcpError } from './errors.js';
+import { PHP_VERSIONS } from './tools/enums.js';
+import { builtInWebappDefaults } from './tools/webapps.js';
+
+// Settings of a new web application (create_webapp, create_webapp_alias)
+// that the caller left out, in increasing precedence:
+//   1. built-in values (builtInWebappDefaults in tools/webapps.js)
+//   2. the newest PHP version installed on the server (list_php_versions)
+//   3. webappDefaults in the config file
+//   4. the profile named by the `profile` argument (webappProfiles)
+
+// Same as list_php_versions, which shares the cached response
+const PHP_VERSIONS_TTL = 60 * 60;
+
+// "php83" and "php83rc" both count as php83; versions the tools do not
+// accept are ignored
+function versionOf(value) {
+  const match = String(value).match(/^php(\d+)/);
+  return match && PHP_VERSIONS.includes(`php${match[1]}`) ? Number(match[1]) : null;
+}
+
+async function newestPhpVersion(args) {
+  const { account, api } = getClient(args.account);
+  const request = { method: 'GET', url: `/servers/${args.serverId}/php/version` };
+  const cache = getCache();
+
+  let data = cache.get(account, request);
+  if (data === undefined) {
+    try {
+      ({ data } = await api.request(request));
+    } catch (error) {
+      throw toMcpError(error);
+    }
+    cache.set(account, request, data, PHP_VERSIONS_TTL);
+  }
+
+  const versions = (Array.isArray(data) ? data : data.data || []).map(versionOf).filter(Boolean);
+  if (!versions.length) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Cannot pick a PHP version: server ${args.serverId} reports none of ${PHP_VERSIONS.join(', ')}. Pass phpVersion.`
+    );
+  }
+  return `php${Math.max(...versions)}`;
+}
+
+// Fill in the settings the caller left out. Returns the completed arguments
+// and, for every filled-in setting, its value and where it came from.
+export async function applyWebappDefaults(args, { defaults = {}, profiles = {} } = {}) {
+  const layers = [['built-in', builtInWebappDefaults]];
+
+  const profile = args.profile && profiles[args.profile];
+  if (args.profile && !profile) {
+    throw new McpError(
+      ErrorCode.InvalidParams,
+      `Unknown web application profile "${args.profile}". Available profiles: ${Object.keys(profiles).join(', ')} (webappProfiles in the config file)`
+    );
+  }
+
+  if (args.phpVersion === undefined && defaults.phpVersion === undefined && (!profile || profile.phpVersion === undefined)) {
+    layers.push(['newest PHP version on the server', { phpVersion: await newestPhpVersion(args) }]);
+  }
+  layers.push(['webappDefaults', defaults]);
+  if (profile) layers.push([`profile ${args.profile}`, profile]);
+
+  const filled = { ...args };
+  const applied = {};
+  for (const [source, values] of layers) {
+    for (const [key, value] of Object.entries(values)) {
+      if (args[key] !== undefined || value === undefined) continue;
+      filled[key] = value;
+      applied[key] = { value, source };
+    }
+  }
+  return { args: filled, applied };
+}
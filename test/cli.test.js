@@ -0,0 +1,87 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockRunCloud } from './mock-runcloud.js';
+import { runCli, serverEnv } from './helpers.js';
+
+describe('command line', () => {
+  let api;
+  let env;
+
+  before(async () => {
+    api = new MockRunCloud();
+    env = serverEnv(await api.start());
+  });
+
+  after(() => api.stop());
+
+  beforeEach(() => api.reset());
+
+  it('calls a tool with flags generated from its schema', async () => {
+    const { status, stdout } = await runCli(['call', 'list_webapps', '--server', 'prod-eu-1', '--fields', 'id,name'], env);
+    assert.equal(status, 0);
+    assert.deepEqual(JSON.parse(stdout).data, [{ id: 11, name: 'shop' }, { id: 12, name: 'blog' }]);
+  });
+
+  it('prints tables', async () => {
+    const { stdout } = await runCli(['call', 'list_servers', '--format', 'table', '--fields', 'id', '--fields', 'name'], env);
+    assert.equal(stdout, 'id  name\n--  ---------\n1   prod-eu-1\n2   staging\n\n2 of 2 items (page 1 of 1)\n');
+  });
+
+  it('converts numbers and booleans', async () => {
+    const { status } = await runCli(['call', 'update_ssh_settings', '--server-id=1', '--prevent-root-login', '--no-use-dns'], env);
+    assert.equal(status, 0);
+    assert.deepEqual(api.requests[0].body, { preventRootLogin: true, useDns: false });
+  });
+
+  it('deletes with --yes after printing the preview', async () => {
+    const { status, stderr } = await runCli(['call', 'delete_database', '--server-id', '1', '--database-id', '41', '--yes'], env);
+    assert.equal(status, 0);
+    assert.match(stderr, /Confirming delete_database, which removes:[\s\S]*"shop_db"/);
+    assert.deepEqual(api.requests.map((request) => request.method).slice(-1), ['DELETE']);
+  });
+
+  it('refuses destructive tools without --yes', async () => {
+    const { status, stdout, stderr } = await runCli(['call', 'delete_database', '--server-id', '1', '--database-id', '41'], env);
+    assert.equal(status, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /delete_database needs a confirmation: pass --yes to confirm, or --dry-run to preview/);
+    assert.deepEqual(api.requests, []);
+
+    const preview = await runCli(['call', 'delete_database', '--server-id', '1', '--database-id', '41', '--dry-run'], env);
+    assert.equal(preview.status, 0);
+    assert.ok(api.requests.every((request) => request.method === 'GET'));
+  });
+
+  it('exits with 1 when the call fails', async () => {
+    const { status, stdout, stderr } = await runCli(['call', 'get_webapp', '--server-id', '1', '--webapp-id', '999'], env);
+    assert.equal(status, 1);
+    assert.equal(stdout, '');
+    assert.match(stderr, /RunCloud API error \(404\)/);
+  });
+
+  it('exits with 2 on usage errors', async () => {
+    const unknownFlag = await runCli(['call', 'get_server', '--server-idd', '1'], env);
+    assert.equal(unknownFlag.status, 2);
+    assert.match(unknownFlag.stderr, /Unknown flag --server-idd for get_server/);
+
+    const badNumber = await runCli(['call', 'get_server', '--server-id', 'one'], env);
+    assert.equal(badNumber.status, 2);
+
+    const unknownTool = await runCli(['call', 'get_everything'], env);
+    assert.equal(unknownTool.status, 2);
+    assert.deepEqual(api.requests, []);
+  });
+
+  it('shows the flags of a tool', async () => {
+    const { status, stdout } = await runCli(['call', 'create_database', '--help'], env);
+    assert.equal(status, 0);
+    assert.match(stdout, /--server-id <number> +The ID of the server \(required unless --server is given\)/);
+    assert.match(stdout, /--name <string> +Database name \(required\)/);
+  });
+
+  it('lists only the tools the configuration exposes', async () => {
+    const { stdout } = await runCli(['tools'], { ...env, RUNCLOUD_READ_ONLY: 'true' });
+    assert.match(stdout, /^Server Management:\n {2}list_servers/);
+    assert.doesNotMatch(stdout, /delete_server/);
+  });
+});
@@ -0,0 +1,186 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { MockRunCloud } from './mock-runcloud.js';
+import { runServer, serverEnv, startHarness } from './helpers.js';
+
+const CONFIG = `
+defaultProfile: agency
+profiles:
+  agency:
+    apiKey: test-key
+    label: Agency
+  client-a:
+    label: Client A
+tools:
+  deny: [delete_*]
+  readOnly: true
+output:
+  format: yaml
+webappDefaults:
+  phpVersion: php82
+  timezone: Europe/Warsaw
+webappProfiles:
+  wordpress:
+    memoryLimit: 512
+  shop:
+    phpVersion: php81
+    uploadMaxFilesize: 128
+`;
+
+describe('config file', () => {
+  let dir;
+  let harness;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runcloud-config-'));
+    fs.writeFileSync(path.join(dir, 'config.yaml'), CONFIG);
+    harness = await startHarness({
+      RUNCLOUD_CONFIG: path.join(dir, 'config.yaml'),
+      RUNCLOUD_API_KEY: undefined,
+      RUNCLOUD_API_SECRET: undefined,
+      // The secret stays out of the file
+      RUNCLOUD_ACCOUNT_AGENCY_API_SECRET: 'test-secret',
+      // Belongs to profile client-a rather than creating a client_a
+      RUNCLOUD_ACCOUNT_CLIENT_A_API_KEY: 'test-key',
+      RUNCLOUD_ACCOUNT_CLIENT_A_API_SECRET: 'test-secret',
+      // Environment variables win over the file
+      RUNCLOUD_READ_ONLY: 'false'
+    });
+  });
+
+  after(async () => {
+    await harness.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => harness.api.reset());
+
+  it('reads profiles and settings from the file', async () => {
+    const accounts = await harness.call('list_accounts', { format: 'json' });
+    assert.deepEqual(accounts.map(({ name, label, default: isDefault }) => ({ name, label, isDefault })), [
+      { name: 'agency', label: 'Agency', isDefault: true },
+      { name: 'client-a', label: 'Client A', isDefault: false }
+    ]);
+
+    const { tools } = await harness.client.listTools();
+    const names = tools.map((tool) => tool.name);
+    assert.ok(names.includes('create_webapp'));
+    assert.ok(!names.includes('delete_webapp'));
+
+    assert.match(await harness.callText('list_servers', { fields: ['name'] }), /^data:\n {2}- name: prod-eu-1/);
+  });
+
+  it('fills in webappDefaults the caller left out', async () => {
+    const created = await harness.call('create_webapp', {
+      serverId: 1,
+      name: 'docs',
+      domainName: 'docs.example.com',
+      user: 31,
+      timezone: 'UTC',
+      format: 'json'
+    });
+    assert.deepEqual(created.defaultsApplied.phpVersion, { value: 'php82', source: 'webappDefaults' });
+
+    // No need to look up the newest PHP version
+    assert.equal(harness.api.requests.length, 1);
+    const { body } = harness.api.requests[0];
+    assert.equal(body.phpVersion, 'php82');
+    assert.equal(body.timezone, 'UTC');
+  });
+
+  it('adjusts and adds web application profiles', async () => {
+    const args = { serverId: 1, name: 'docs', domainName: 'docs.example.com', user: 31, dryRun: true, format: 'json' };
+    const wordpress = await harness.call('create_webapp', { ...args, profile: 'wordpress' });
+    assert.equal(wordpress.body.memoryLimit, 512);
+    assert.equal(wordpress.body.maxInputVars, 3000);
+    assert.equal(wordpress.body.timezone, 'Europe/Warsaw');
+
+    const shop = await harness.call('create_webapp', { ...args, profile: 'shop' });
+    assert.deepEqual(shop.defaultsApplied.phpVersion, { value: 'php81', source: 'profile shop' });
+    assert.deepEqual(shop.defaultsApplied.uploadMaxFilesize, { value: 128, source: 'profile shop' });
+  });
+
+  it('shows the effective config with secrets masked', async () => {
+    const text = await harness.callText('show_config', { format: 'json' });
+    for (const secret of ['test-key', 'test-secret']) {
+      assert.ok(!text.includes(secret), `${secret} is shown`);
+    }
+
+    const config = JSON.parse(text);
+    assert.equal(config.file, path.join(dir, 'config.yaml'));
+    assert.equal(config.defaultProfile, 'agency');
+    assert.equal(config.profiles.agency.apiSecret, '********');
+    assert.equal(config.tools.readOnly, false);
+    assert.equal(config.sources['tools.readOnly'], 'RUNCLOUD_READ_ONLY');
+    assert.equal(config.sources['tools.deny'], config.file);
+    assert.deepEqual(config.webappDefaults, { phpVersion: 'php82', timezone: 'Europe/Warsaw' });
+    assert.equal(config.retry.retries, 0);
+  });
+});
+
+describe('startup errors', () => {
+  let api;
+  let dir;
+  let env;
+
+  before(async () => {
+    api = new MockRunCloud();
+    env = serverEnv(await api.start());
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runcloud-config-'));
+  });
+
+  after(async () => {
+    await api.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(name, contents) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  it('lists every problem of an invalid config file', async () => {
+    const file = writeConfig('invalid.yaml', 'retry:\n  retries: three\noutputs:\n  format: yaml\nwebappDefaults:\n  phpVersion: php99\n');
+    const { status, stderr } = await runServer({ ...env, RUNCLOUD_CONFIG: file });
+    assert.equal(status, 1);
+    assert.match(stderr, new RegExp(`Invalid config file ${file}:`));
+    assert.match(stderr, /- retry\.retries must be of type number, got string/);
+    assert.match(stderr, /- outputs is not a known setting/);
+    assert.match(stderr, /- webappDefaults\.phpVersion must be one of: .*\(got "php99"\)/);
+  });
+
+  it('reports files that do not parse', async () => {
+    const yaml = await runServer({ ...env, RUNCLOUD_CONFIG: writeConfig('broken.yaml', 'tools: [readOnly\n') });
+    assert.equal(yaml.status, 1);
+    assert.match(yaml.stderr, /Cannot read config file .*broken\.yaml/);
+
+    const json = await runServer({ ...env, RUNCLOUD_CONFIG: writeConfig('broken.json', '{ "timeout": }') });
+    assert.equal(json.status, 1);
+    assert.match(json.stderr, /Cannot read config file .*broken\.json/);
+  });
+
+  it('rejects invalid environment variables', async () => {
+    const { status, stderr } = await runServer({ ...env, RUNCLOUD_READ_ONLY: 'yes', RUNCLOUD_OUTPUT_FORMAT: 'xml' });
+    assert.equal(status, 1);
+    assert.match(stderr, /RUNCLOUD_READ_ONLY must be true or false \(got "yes"\)/);
+    assert.match(stderr, /RUNCLOUD_OUTPUT_FORMAT: output\.format must be one of/);
+  });
+
+  it('rejects tool filter entries that match nothing', async () => {
+    const { status, stderr } = await runServer({ ...env, RUNCLOUD_TOOLS_DENY: 'Firewall,delete_server' });
+    assert.equal(status, 1);
+    assert.match(stderr, /Invalid tool filter \(categories: .*Firewall Management/);
+    assert.match(stderr, /- tools\.deny \(RUNCLOUD_TOOLS_DENY\) entry "Firewall" matches no tool name or category/);
+    assert.doesNotMatch(stderr, /delete_server/);
+  });
+
+  it('exits with 1 without credentials', async () => {
+    const { status, stderr } = await runServer({ ...env, RUNCLOUD_API_KEY: undefined, RUNCLOUD_API_SECRET: undefined });
+    assert.equal(status, 1);
+    assert.match(stderr, /No RunCloud account configured/);
+  });
+});
@@ -0,0 +1,71 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { RunCloudErrorCode } from '../src/errors.js';
+import { startHarness } from './helpers.js';
+
+describe('fixtures', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runcloud-fixtures-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('records sanitized exchanges', async () => {
+    const harness = await startHarness({ RUNCLOUD_FIXTURES: 'record', RUNCLOUD_FIXTURES_DIR: dir });
+    try {
+      await harness.call('list_webapps', { serverId: 1 });
+      await harness.call('create_database_user', { serverId: 1, username: 'blog', password: 'db-password-1' });
+      await harness.call('list_database_users', { serverId: 1 });
+      await harness.call('get_external_api_key', { apiId: 121 });
+      await harness.call('get_installation_script', { serverId: 1 });
+      await assert.rejects(harness.client.callTool({ name: 'get_webapp', arguments: { serverId: 1, webappId: 999 } }));
+    } finally {
+      await harness.stop();
+    }
+
+    const files = fs.readdirSync(path.join(dir, 'default'));
+    assert.ok(files.includes('GET-servers-1-webapps.json'));
+    assert.ok(files.includes('GET-servers-1-webapps-999.json'));
+
+    const recorded = files.map((file) => fs.readFileSync(path.join(dir, 'default', file), 'utf8')).join('\n');
+    for (const secret of ['test-key', 'test-secret', 'db-password-1', 'cf-secret-token', 'token-1']) {
+      assert.ok(!recorded.includes(secret), `${secret} was recorded`);
+    }
+
+    const notFound = JSON.parse(fs.readFileSync(path.join(dir, 'default', 'GET-servers-1-webapps-999.json'), 'utf8'));
+    assert.equal(notFound.responses[0].status, 404);
+  });
+
+  it('replays them without credentials or network', async () => {
+    const harness = await startHarness({
+      RUNCLOUD_FIXTURES: 'replay',
+      RUNCLOUD_FIXTURES_DIR: dir,
+      RUNCLOUD_API_KEY: undefined,
+      RUNCLOUD_API_SECRET: undefined
+    });
+    try {
+      const webapps = await harness.call('list_webapps', { serverId: 1, fields: ['name'] });
+      assert.deepEqual(webapps.data.map((item) => item.name), ['shop', 'blog']);
+
+      const users = await harness.call('list_database_users', { serverId: 1 });
+      assert.deepEqual(users.data.map((item) => item.username), ['shop', 'blog']);
+
+      await assert.rejects(
+        harness.client.callTool({ name: 'get_webapp', arguments: { serverId: 1, webappId: 999 } }),
+        { code: RunCloudErrorCode.NotFound }
+      );
+      await assert.rejects(
+        harness.client.callTool({ name: 'list_databases', arguments: { serverId: 1 } }),
+        { code: RunCloudErrorCode.RequestFailed, message: /No recorded RunCloud response for GET \/servers\/1\/databases/ }
+      );
+      assert.deepEqual(harness.api.requests, []);
+    } finally {
+      await harness.stop();
+    }
+  });
+});
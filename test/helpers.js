@@ -0,0 +1,148 @@
+import { execFile, spawn } from 'node:child_process';
+import { once } from 'node:events';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { API_KEY, API_SECRET, MockRunCloud } from './mock-runcloud.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const entryPoint = path.join(testDir, '..', 'index.js');
+const cliEntryPoint = path.join(testDir, '..', 'cli.js');
+
+// Environment of a server process talking to the mock API at `baseUrl`.
+// Retries, the rate limiter, the response cache and the audit log are off so
+// that each call maps to exactly the requests it makes, and no config file is
+// read. `env` overrides it, e.g. { RUNCLOUD_READ_ONLY: 'true' }.
+export function serverEnv(baseUrl, env = {}) {
+  return {
+    ...getDefaultEnvironment(),
+    RUNCLOUD_API_KEY: API_KEY,
+    RUNCLOUD_API_SECRET: API_SECRET,
+    RUNCLOUD_BASE_URL: baseUrl,
+    RUNCLOUD_CONFIG: 'false',
+    RUNCLOUD_RETRIES: '0',
+    RUNCLOUD_RATE_LIMIT: '0',
+    RUNCLOUD_CACHE: 'false',
+    RUNCLOUD_AUDIT_LOG: 'false',
+    ...env
+  };
+}
+
+// Start the mock API and an MCP server (over stdio) pointed at it
+export async function startHarness(env = {}) {
+  const api = new MockRunCloud();
+  const baseUrl = await api.start();
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [entryPoint],
+    // Run outside the project root so a developer's .env is not picked up
+    cwd: testDir,
+    env: serverEnv(baseUrl, env),
+    stderr: 'ignore'
+  });
+  const client = new Client({ name: 'runcloud-mcp-tests', version: '1.0.0' });
+  await client.connect(transport);
+
+  return {
+    api,
+    client,
+
+    // Call a tool and return its text output
+    async callText(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      return result.content[0].text;
+    },
+
+    // Call a tool and return its output parsed as JSON
+    async call(name, args = {}) {
+      return JSON.parse(await this.callText(name, args));
+    },
+
+    async stop() {
+      await client.close();
+      await api.stop();
+    }
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the mock API and an MCP server over HTTP (RUNCLOUD_MCP_TRANSPORT=http)
+// on a free port; resolves once the server listens. Clients connect to `url`.
+export async function startHttpHarness(env = {}) {
+  const api = new MockRunCloud();
+  const baseUrl = await api.start();
+  const port = await freePort();
+
+  const child = spawn(process.execPath, [entryPoint], {
+    cwd: testDir,
+    env: serverEnv(baseUrl, { RUNCLOUD_MCP_TRANSPORT: 'http', RUNCLOUD_MCP_PORT: String(port), ...env }),
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      let stderr = '';
+      const timer = setTimeout(() => reject(new Error(`HTTP server did not start: ${stderr}`)), 10000);
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk;
+        if (stderr.includes(' running')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      });
+      child.once('exit', (status) => {
+        clearTimeout(timer);
+        reject(new Error(`HTTP server exited with status ${status}: ${stderr}`));
+      });
+    });
+  } catch (error) {
+    child.kill();
+    await api.stop();
+    throw error;
+  }
+
+  return {
+    api,
+    url: `http://127.0.0.1:${port}/mcp`,
+
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, 'exit');
+      }
+      await api.stop();
+    }
+  };
+}
+
+function runNode(args, env) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, args, { cwd: testDir, env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+// Run the command line (cli.js) with `args`; resolves with its exit status
+// and output, whatever the status
+export function runCli(args, env) {
+  return runNode([cliEntryPoint, ...args], env);
+}
+
+// Start the MCP server (index.js) expecting it to fail at startup; a server
+// that does start is stopped by the timeout
+export function runServer(env) {
+  return runNode([entryPoint], env);
+}
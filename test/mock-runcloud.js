@@ -0,0 +1,623 @@
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+// In-memory stand-in for the RunCloud v2 API, covering every endpoint the
+// tools call. State is seeded with one fully populated server so that each
+// tool has something to act on; reset() restores the seed between tests.
+
+export const API_KEY = 'test-key';
+export const API_SECRET = 'test-secret';
+
+class HttpError extends Error {
+  constructor(status, body) {
+    super(body.message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function notFound() {
+  return new HttpError(404, { message: 'Resource not found.' });
+}
+
+// RunCloud's validation error shape
+function requireFields(body, fields) {
+  const errors = {};
+  for (const field of fields) {
+    if (body[field] === undefined || body[field] === '') {
+      errors[field] = [`The ${field} field is required.`];
+    }
+  }
+  if (Object.keys(errors).length) {
+    throw new HttpError(422, { message: 'The given data was invalid.', errors });
+  }
+}
+
+function paginate(items, query, field = 'name') {
+  const search = query.get('search');
+  const filtered = search
+    ? items.filter((item) => String(item[field]).toLowerCase().includes(search.toLowerCase()))
+    : items;
+  const perPage = Number(query.get('perPage') || 15);
+  const page = Number(query.get('page') || 1);
+  const totalPages = Math.max(1, Math.ceil(filtered.length / perPage));
+  const data = filtered.slice((page - 1) * perPage, page * perPage);
+  return {
+    data,
+    meta: {
+      pagination: {
+        total: filtered.length,
+        count: data.length,
+        per_page: perPage,
+        current_page: page,
+        total_pages: totalPages
+      }
+    }
+  };
+}
+
+function find(items, id) {
+  const item = items.find((candidate) => candidate.id === Number(id));
+  if (!item) throw notFound();
+  return item;
+}
+
+function remove(items, id) {
+  const index = items.findIndex((candidate) => candidate.id === Number(id));
+  if (index === -1) throw notFound();
+  return items.splice(index, 1)[0];
+}
+
+function seed() {
+  const webapp = {
+    id: 11,
+    name: 'shop',
+    rootPath: '/home/runcloud/webapps/shop',
+    publicPath: '/',
+    phpVersion: 'php83',
+    stack: 'hybrid',
+    stackMode: 'production',
+    server_user_id: 31,
+    defaultApp: false,
+    domains: [{ id: 21, name: 'shop.example.com', type: 'primary', ssl: { id: 82, method: 'letsencrypt' } }],
+    git: { id: 71, provider: 'github', repository: 'acme/shop', branch: 'main', autoDeploy: false, deployKey: 'ssh-ed25519 AAAA deploy' },
+    ssl: { id: 81, method: 'letsencrypt', renewalDate: '2026-12-01', validUntil: '2027-01-01', hsts: false },
+    advancedSSL: false,
+    cronjobs: [{ id: 101, label: 'wp-cron', command: 'php wp-cron.php', user: 'runcloud', cronExpression: '*/5 * * * *' }],
+    installer: { id: 1, name: 'WordPress' }
+  };
+
+  return {
+    nextId: 1000,
+    servers: [
+      {
+        id: 1,
+        name: 'prod-eu-1',
+        ipAddress: '203.0.113.10',
+        provider: 'DigitalOcean',
+        online: true,
+        webapps: [webapp, { ...seedWebapp(12, 'blog'), server_user_id: 31 }],
+        users: [{ id: 31, username: 'runcloud', sshkeys: [{ id: 91, label: 'laptop', publicKey: 'ssh-ed25519 AAAA laptop' }] }],
+        databases: [{ id: 41, name: 'shop_db', collation: 'utf8mb4_unicode_ci' }],
+        databaseusers: [{ id: 51, username: 'shop', grants: [41] }],
+        supervisorjobs: [{ id: 111, jobName: 'queue', user: 'runcloud', command: 'php artisan queue:work', status: 'running' }],
+        firewalls: [{ id: 61, type: 'port', port: 22, protocol: 'tcp', firewallAction: 'accept' }],
+        blockedIps: ['198.51.100.7'],
+        services: [
+          { name: 'nginx', realName: 'nginx-rc', running: true },
+          { name: 'mariadb', realName: 'mysql', running: true },
+          { name: 'php83rc-fpm', realName: 'php83rc-fpm', running: true }
+        ],
+        ssh: { passwordlessLogin: false, useDns: true, preventRootLogin: false },
+        autoupdate: { softwareUpdate: false, securityUpdate: true },
+        phpCli: 'php83'
+      },
+      {
+        id: 2,
+        name: 'staging',
+        ipAddress: '203.0.113.20',
+        provider: 'Hetzner',
+        online: true,
+        webapps: [],
+        users: [{ id: 32, username: 'runcloud', sshkeys: [] }],
+        databases: [],
+        databaseusers: [],
+        supervisorjobs: [],
+        firewalls: [],
+        blockedIps: [],
+        services: [],
+        ssh: { passwordlessLogin: true, useDns: false, preventRootLogin: true },
+        autoupdate: { softwareUpdate: true, securityUpdate: true },
+        phpCli: 'php82'
+      }
+    ],
+    externalApiKeys: [{ id: 121, label: 'Cloudflare', service: 'cloudflare', username: 'ops@example.com', secret: 'cf-secret-token' }]
+  };
+}
+
+function seedWebapp(id, name) {
+  return {
+    id,
+    name,
+    rootPath: `/home/runcloud/webapps/${name}`,
+    publicPath: '/',
+    phpVersion: 'php82',
+    stack: 'native',
+    stackMode: 'production',
+    defaultApp: false,
+    domains: [],
+    git: null,
+    ssl: null,
+    advancedSSL: false,
+    cronjobs: [],
+    installer: null
+  };
+}
+
+const STATIC = {
+  timezones: ['UTC', 'Europe/Berlin', 'America/New_York'],
+  collations: ['utf8mb4_unicode_ci', 'utf8mb4_general_ci'],
+  installers: [{ id: 1, name: 'WordPress' }, { id: 2, name: 'Concrete5' }],
+  sslProtocols: {
+    nginx: [{ id: 1, name: 'TLSv1.2 + TLSv1.3' }, { id: 2, name: 'TLSv1.3' }],
+    openlitespeed: [{ id: 3, name: 'TLSv1.2 + TLSv1.3' }]
+  },
+  phpVersions: ['php74', 'php80', 'php81', 'php82', 'php83']
+};
+
+// Public representations (without the nested state)
+function serverView({ id, name, ipAddress, provider, online }) {
+  return { id, name, ipAddress, provider, online };
+}
+
+function webappView({ domains, git, ssl, cronjobs, installer, advancedSSL, ...webapp }) {
+  return webapp;
+}
+
+function userView({ sshkeys, ...user }) {
+  return user;
+}
+
+export class MockRunCloud {
+  constructor() {
+    this.reset();
+    this.routes = this.buildRoutes();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Restore the seed data and forget recorded requests
+  reset() {
+    this.state = seed();
+    this.requests = [];
+    this.failures = [];
+  }
+
+  // Make the next request matching method and path fail with `status`
+  failNext(method, path, status, body = { message: `Mock failure ${status}` }) {
+    this.failures.push({ method, path, status, body });
+  }
+
+  async start(port = 0) {
+    await new Promise((resolve) => this.server.listen(port, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  id() {
+    this.state.nextId += 1;
+    return this.state.nextId;
+  }
+
+  server_(params) {
+    return find(this.state.servers, params.serverId);
+  }
+
+  webapp(params) {
+    return find(this.server_(params).webapps, params.webappId);
+  }
+
+  buildRoutes() {
+    const routes = [];
+    const route = (method, pattern, handler) => {
+      const regex = new RegExp(`^${pattern.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`);
+      routes.push({ method, regex, handler });
+    };
+
+    route('GET', '/ping', () => ({ message: 'pong' }));
+
+    // Servers
+    route('GET', '/servers', ({ query }) => paginate(this.state.servers.map(serverView), query));
+    route('GET', '/servers/shared', ({ query }) => paginate([], query));
+    route('POST', '/servers', ({ body }) => {
+      requireFields(body, ['name', 'ipAddress']);
+      const server = { ...seed().servers[1], id: this.id(), name: body.name, ipAddress: body.ipAddress, provider: body.provider || null };
+      this.state.servers.push(server);
+      return serverView(server);
+    });
+    route('GET', '/servers/{serverId}', ({ params }) => serverView(this.server_(params)));
+    route('DELETE', '/servers/{serverId}', ({ params }) => serverView(remove(this.state.servers, params.serverId)));
+    route('GET', '/servers/{serverId}/stats', ({ params }) => {
+      const server = this.server_(params);
+      return { webApplication: server.webapps.length, database: server.databases.length, cronJob: 0, supervisor: server.supervisorjobs.length };
+    });
+    route('GET', '/servers/{serverId}/hardwareInfo', ({ params }) => {
+      this.server_(params);
+      return { kernelVersion: '6.8.0', processorName: 'Intel Xeon', totalCPUCore: 2, totalMemory: 4, freeMemory: 1.5, diskTotal: 80, diskFree: 50, loadAverage: 0.12 };
+    });
+    route('GET', '/servers/{serverId}/installationScript', ({ params }) => {
+      this.server_(params);
+      return { script: `curl -sSL https://manage.runcloud.io/scripts/installer/token-${params.serverId} | bash -` };
+    });
+    route('GET', '/servers/{serverId}/settings/ssh', ({ params }) => this.server_(params).ssh);
+    route('PATCH', '/servers/{serverId}/settings/ssh', ({ params, body }) => Object.assign(this.server_(params).ssh, body));
+    route('PATCH', '/servers/{serverId}/settings/meta', ({ params, body }) => serverView(Object.assign(this.server_(params), body)));
+    route('PATCH', '/servers/{serverId}/settings/autoupdate', ({ params, body }) => Object.assign(this.server_(params).autoupdate, body));
+    route('GET', '/servers/{serverId}/php/version', ({ params }) => {
+      this.server_(params);
+      return STATIC.phpVersions;
+    });
+    route('PATCH', '/servers/{serverId}/php/cli', ({ params, body }) => {
+      requireFields(body, ['phpVersion']);
+      this.server_(params).phpCli = body.phpVersion;
+      return { phpVersion: body.phpVersion };
+    });
+
+    // Web applications
+    route('GET', '/servers/{serverId}/webapps', ({ params, query }) => paginate(this.server_(params).webapps.map(webappView), query));
+    route('POST', '/servers/{serverId}/webapps/custom', ({ params, body }) => {
+      requireFields(body, ['name', 'domainName', 'user', 'phpVersion', 'stack', 'stackMode']);
+      const server = this.server_(params);
+      const webapp = {
+        ...seedWebapp(this.id(), body.name),
+        phpVersion: body.phpVersion,
+        stack: body.stack,
+        stackMode: body.stackMode,
+        server_user_id: body.user,
+        publicPath: body.publicPath || '/'
+      };
+      webapp.domains.push({ id: this.id(), name: body.domainName, type: 'primary' });
+      server.webapps.push(webapp);
+      return webappView(webapp);
+    });
+    route('GET', '/servers/{serverId}/webapps/{webappId}', ({ params }) => webappView(this.webapp(params)));
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}', ({ params }) => webappView(remove(this.server_(params).webapps, params.webappId)));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/default', ({ params }) => {
+      const server = this.server_(params);
+      const webapp = this.webapp(params);
+      for (const other of server.webapps) other.defaultApp = false;
+      webapp.defaultApp = true;
+      return webappView(webapp);
+    });
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/default', ({ params }) => webappView(Object.assign(this.webapp(params), { defaultApp: false })));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/rebuild', ({ params }) => ({ ...webappView(this.webapp(params)), rebuilding: true }));
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/settings/fpmnginx', ({ params, body }) => webappView(Object.assign(this.webapp(params), body)));
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/settings/php', ({ params, body }) => {
+      requireFields(body, ['phpVersion']);
+      return webappView(Object.assign(this.webapp(params), { phpVersion: body.phpVersion }));
+    });
+    route('POST', '/servers/{serverId}/webapps/{webappId}/alias', ({ params, body }) => {
+      requireFields(body, ['name', 'domainName']);
+      const source = this.webapp(params);
+      const alias = { ...seedWebapp(this.id(), body.name), phpVersion: body.phpVersion || source.phpVersion, aliasOf: source.id };
+      alias.domains.push({ id: this.id(), name: body.domainName, type: 'primary' });
+      this.server_(params).webapps.push(alias);
+      return webappView(alias);
+    });
+
+    // Git
+    route('GET', '/servers/{serverId}/webapps/{webappId}/git', ({ params }) => {
+      const { git } = this.webapp(params);
+      if (!git) throw notFound();
+      return git;
+    });
+    route('POST', '/servers/{serverId}/webapps/{webappId}/git', ({ params, body }) => {
+      requireFields(body, ['provider', 'repository', 'branch']);
+      const webapp = this.webapp(params);
+      webapp.git = { id: this.id(), provider: body.provider, repository: body.repository, branch: body.branch, autoDeploy: false };
+      return webapp.git;
+    });
+    const git = (params) => {
+      const webapp = this.webapp(params);
+      if (!webapp.git || webapp.git.id !== Number(params.gitId)) throw notFound();
+      return webapp.git;
+    };
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/git/{gitId}/branch', ({ params, body }) => Object.assign(git(params), { branch: body.branch }));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/git/{gitId}/deploy', ({ params }) => ({ ...git(params), deploying: true }));
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/git/{gitId}/script', ({ params, body }) => Object.assign(git(params), { deploymentScript: body.deploymentScript }));
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/git/{gitId}', ({ params }) => {
+      const removed = git(params);
+      this.webapp(params).git = null;
+      return removed;
+    });
+
+    // Domains
+    route('GET', '/servers/{serverId}/webapps/{webappId}/domains', ({ params, query }) => paginate(this.webapp(params).domains, query));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/domains', ({ params, body }) => {
+      requireFields(body, ['name']);
+      const domain = { id: this.id(), name: body.name, type: 'alias' };
+      this.webapp(params).domains.push(domain);
+      return domain;
+    });
+    route('GET', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}', ({ params }) => find(this.webapp(params).domains, params.domainId));
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}', ({ params }) => remove(this.webapp(params).domains, params.domainId));
+
+    // SSL (per web application)
+    const ssl = (params) => {
+      const webapp = this.webapp(params);
+      if (!webapp.ssl || webapp.ssl.id !== Number(params.sslId)) throw notFound();
+      return webapp.ssl;
+    };
+    route('GET', '/servers/{serverId}/webapps/{webappId}/ssl', ({ params }) => {
+      const webapp = this.webapp(params);
+      if (!webapp.ssl) throw notFound();
+      return webapp.ssl;
+    });
+    route('POST', '/servers/{serverId}/webapps/{webappId}/ssl', ({ params, body }) => {
+      requireFields(body, ['provider']);
+      const webapp = this.webapp(params);
+      webapp.ssl = { id: this.id(), method: body.provider, hsts: Boolean(body.hsts), privateKey: body.privateKey, certificate: body.certificate };
+      return webapp.ssl;
+    });
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}', ({ params, body }) => Object.assign(ssl(params), body));
+    route('PUT', '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}', ({ params }) => ({ ...ssl(params), redeployed: true }));
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/ssl/{sslId}', ({ params }) => {
+      const removed = ssl(params);
+      this.webapp(params).ssl = null;
+      return removed;
+    });
+    route('GET', '/servers/{serverId}/webapps/{webappId}/ssl/advanced', ({ params }) => ({ advancedSSL: this.webapp(params).advancedSSL }));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/ssl/advanced', ({ params, body }) => {
+      requireFields(body, ['advancedSSL']);
+      const webapp = this.webapp(params);
+      webapp.advancedSSL = body.advancedSSL;
+      return { advancedSSL: webapp.advancedSSL };
+    });
+
+    // SSL (per domain, advanced mode)
+    const domain = (params) => find(this.webapp(params).domains, params.domainId);
+    const domainSsl = (params) => {
+      const { ssl: current } = domain(params);
+      if (!current || current.id !== Number(params.sslId)) throw notFound();
+      return current;
+    };
+    route('GET', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/advanced', ({ params }) => {
+      const { ssl: current } = domain(params);
+      if (!current) throw notFound();
+      return current;
+    });
+    route('POST', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/advanced', ({ params, body }) => {
+      requireFields(body, ['provider']);
+      const target = domain(params);
+      target.ssl = { id: this.id(), method: body.provider };
+      return target.ssl;
+    });
+    route('PATCH', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}', ({ params, body }) => Object.assign(domainSsl(params), body));
+    route('PUT', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}', ({ params }) => ({ ...domainSsl(params), redeployed: true }));
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/domains/{domainId}/ssl/{sslId}', ({ params }) => {
+      const removed = domainSsl(params);
+      domain(params).ssl = null;
+      return removed;
+    });
+
+    // Databases and database users
+    route('GET', '/servers/{serverId}/databases', ({ params, query }) => paginate(this.server_(params).databases, query));
+    route('POST', '/servers/{serverId}/databases', ({ params, body }) => {
+      requireFields(body, ['name']);
+      const database = { id: this.id(), name: body.name, collation: body.collation || 'utf8mb4_unicode_ci' };
+      this.server_(params).databases.push(database);
+      return database;
+    });
+    route('GET', '/servers/{serverId}/databases/{databaseId}', ({ params }) => find(this.server_(params).databases, params.databaseId));
+    route('DELETE', '/servers/{serverId}/databases/{databaseId}', ({ params }) => remove(this.server_(params).databases, params.databaseId));
+    route('GET', '/servers/{serverId}/databaseusers', ({ params, query }) => paginate(this.server_(params).databaseusers, query, 'username'));
+    route('POST', '/servers/{serverId}/databaseusers', ({ params, body }) => {
+      requireFields(body, ['username', 'password']);
+      const user = { id: this.id(), username: body.username, grants: [] };
+      this.server_(params).databaseusers.push(user);
+      return user;
+    });
+    const databaseUser = (params) => find(this.server_(params).databaseusers, params.userId);
+    route('DELETE', '/servers/{serverId}/databaseusers/{userId}', ({ params }) => remove(this.server_(params).databaseusers, params.userId));
+    route('PATCH', '/servers/{serverId}/databaseusers/{userId}', ({ params, body }) => {
+      requireFields(body, ['password']);
+      return databaseUser(params);
+    });
+    route('POST', '/servers/{serverId}/databaseusers/{userId}/grant', ({ params, body }) => {
+      requireFields(body, ['databaseId']);
+      const user = databaseUser(params);
+      find(this.server_(params).databases, body.databaseId);
+      user.grants = [...new Set([...user.grants, Number(body.databaseId)])];
+      return user;
+    });
+    route('DELETE', '/servers/{serverId}/databaseusers/{userId}/grant/{databaseId}', ({ params }) => {
+      const user = databaseUser(params);
+      user.grants = user.grants.filter((id) => id !== Number(params.databaseId));
+      return user;
+    });
+
+    // System users and SSH keys
+    route('GET', '/servers/{serverId}/users', ({ params, query }) => paginate(this.server_(params).users.map(userView), query, 'username'));
+    route('POST', '/servers/{serverId}/users', ({ params, body }) => {
+      requireFields(body, ['username', 'password']);
+      const user = { id: this.id(), username: body.username, sshkeys: [] };
+      this.server_(params).users.push(user);
+      return userView(user);
+    });
+    const systemUser = (params) => find(this.server_(params).users, params.userId);
+    route('GET', '/servers/{serverId}/users/{userId}', ({ params }) => userView(systemUser(params)));
+    route('DELETE', '/servers/{serverId}/users/{userId}', ({ params }) => userView(remove(this.server_(params).users, params.userId)));
+    route('PATCH', '/servers/{serverId}/users/{userId}', ({ params, body }) => {
+      requireFields(body, ['password']);
+      return userView(systemUser(params));
+    });
+    route('GET', '/servers/{serverId}/users/{userId}/sshkeys', ({ params, query }) => paginate(systemUser(params).sshkeys, query, 'label'));
+    route('POST', '/servers/{serverId}/users/{userId}/sshkeys', ({ params, body }) => {
+      requireFields(body, ['label', 'publicKey']);
+      const key = { id: this.id(), label: body.label, publicKey: body.publicKey };
+      systemUser(params).sshkeys.push(key);
+      return key;
+    });
+    route('DELETE', '/servers/{serverId}/users/{userId}/sshkeys/{keyId}', ({ params }) => remove(systemUser(params).sshkeys, params.keyId));
+
+    // Cron and supervisor jobs
+    route('GET', '/servers/{serverId}/webapps/{webappId}/cronjobs', ({ params, query }) => paginate(this.webapp(params).cronjobs, query, 'label'));
+    route('POST', '/servers/{serverId}/webapps/{webappId}/cronjobs', ({ params, body }) => {
+      requireFields(body, ['label', 'command', 'user']);
+      const job = { id: this.id(), ...body };
+      this.webapp(params).cronjobs.push(job);
+      return job;
+    });
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/cronjobs/{cronId}', ({ params }) => remove(this.webapp(params).cronjobs, params.cronId));
+    route('GET', '/servers/{serverId}/supervisorjobs', ({ params, query }) => paginate(this.server_(params).supervisorjobs, query, 'jobName'));
+    route('POST', '/servers/{serverId}/supervisorjobs', ({ params, body }) => {
+      requireFields(body, ['jobName', 'user', 'command']);
+      const job = { id: this.id(), status: 'running', ...body };
+      this.server_(params).supervisorjobs.push(job);
+      return job;
+    });
+    route('DELETE', '/servers/{serverId}/supervisorjobs/{jobId}', ({ params }) => remove(this.server_(params).supervisorjobs, params.jobId));
+    route('POST', '/servers/{serverId}/supervisorjobs/{jobId}', ({ params, body }) => {
+      requireFields(body, ['action']);
+      const job = find(this.server_(params).supervisorjobs, params.jobId);
+      job.status = body.action === 'stop' ? 'stopped' : 'running';
+      return job;
+    });
+
+    // Services and logs
+    route('GET', '/servers/{serverId}/services', ({ params }) => ({ data: this.server_(params).services }));
+    route('POST', '/servers/{serverId}/services/{serviceName}', ({ params, body }) => {
+      requireFields(body, ['action']);
+      const service = this.server_(params).services.find((candidate) => candidate.name === params.serviceName);
+      if (!service) throw notFound();
+      service.running = body.action !== 'stop';
+      return service;
+    });
+    route('GET', '/servers/{serverId}/logs/{type}', ({ params, query }) => {
+      this.server_(params);
+      return { type: params.type, lines: Array.from({ length: Number(query.get('lines') || 3) }, (_, index) => `${params.type} line ${index + 1}`) };
+    });
+    route('GET', '/servers/{serverId}/webapps/{webappId}/logs/{type}', ({ params, query }) => {
+      this.webapp(params);
+      return { type: params.type, lines: Array.from({ length: Number(query.get('lines') || 3) }, (_, index) => `${params.type} line ${index + 1}`) };
+    });
+
+    // Script installer
+    route('GET', '/servers/{serverId}/webapps/{webappId}/installer', ({ params }) => {
+      const { installer } = this.webapp(params);
+      if (!installer) throw notFound();
+      return installer;
+    });
+    route('POST', '/servers/{serverId}/webapps/{webappId}/installer', ({ params, body }) => {
+      requireFields(body, ['installerId']);
+      const installer = STATIC.installers.find((candidate) => candidate.id === Number(body.installerId));
+      if (!installer) throw notFound();
+      this.webapp(params).installer = installer;
+      return installer;
+    });
+    route('DELETE', '/servers/{serverId}/webapps/{webappId}/installer/{installerId}', ({ params }) => {
+      const webapp = this.webapp(params);
+      if (!webapp.installer || webapp.installer.id !== Number(params.installerId)) throw notFound();
+      const removed = webapp.installer;
+      webapp.installer = null;
+      return removed;
+    });
+
+    // Firewall and Fail2Ban
+    route('GET', '/servers/{serverId}/security/firewalls', ({ params, query }) => paginate(this.server_(params).firewalls, query, 'type'));
+    route('POST', '/servers/{serverId}/security/firewalls', ({ params, body }) => {
+      requireFields(body, ['type']);
+      const rule = { id: this.id(), ...body };
+      this.server_(params).firewalls.push(rule);
+      return rule;
+    });
+    route('PUT', '/servers/{serverId}/security/firewalls', ({ params }) => ({ deployed: this.server_(params).firewalls.length }));
+    route('GET', '/servers/{serverId}/security/firewalls/{firewallId}', ({ params }) => find(this.server_(params).firewalls, params.firewallId));
+    route('DELETE', '/servers/{serverId}/security/firewalls/{firewallId}', ({ params }) => remove(this.server_(params).firewalls, params.firewallId));
+    route('GET', '/servers/{serverId}/security/fail2ban/blockedip', ({ params }) => ({ data: this.server_(params).blockedIps }));
+    route('DELETE', '/servers/{serverId}/security/fail2ban/blockedip', ({ params, body }) => {
+      requireFields(body, ['ip']);
+      const server = this.server_(params);
+      if (!server.blockedIps.includes(body.ip)) throw notFound();
+      server.blockedIps = server.blockedIps.filter((ip) => ip !== body.ip);
+      return { unblocked: body.ip };
+    });
+
+    // Static data
+    route('GET', '/static/databases/collations', () => ({ data: STATIC.collations }));
+    route('GET', '/static/timezones', () => ({ data: STATIC.timezones }));
+    route('GET', '/static/webapps/installers', () => ({ data: STATIC.installers }));
+    route('GET', '/static/ssl/protocols', ({ query }) => {
+      const protocols = STATIC.sslProtocols[query.get('webServer')];
+      if (!protocols) throw new HttpError(422, { message: 'The given data was invalid.', errors: { webServer: ['The selected web server is invalid.'] } });
+      return { data: protocols };
+    });
+
+    // 3rd party API keys
+    route('GET', '/settings/externalapi', ({ query }) => paginate(this.state.externalApiKeys, query, 'label'));
+    route('POST', '/settings/externalapi', ({ body }) => {
+      requireFields(body, ['label', 'service', 'secret']);
+      const key = { id: this.id(), ...body };
+      this.state.externalApiKeys.push(key);
+      return key;
+    });
+    route('GET', '/settings/externalapi/{apiId}', ({ params }) => find(this.state.externalApiKeys, params.apiId));
+    route('PATCH', '/settings/externalapi/{apiId}', ({ params, body }) => Object.assign(find(this.state.externalApiKeys, params.apiId), body));
+    route('DELETE', '/settings/externalapi/{apiId}', ({ params }) => remove(this.state.externalApiKeys, params.apiId));
+
+    return routes;
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const body = raw ? JSON.parse(raw) : {};
+      this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      const expected = `Basic ${Buffer.from(`${API_KEY}:${API_SECRET}`).toString('base64')}`;
+      if (req.headers.authorization !== expected) {
+        return send(401, { message: 'Unauthenticated.' });
+      }
+
+      const failure = this.failures.findIndex((candidate) => candidate.method === req.method && candidate.path === url.pathname);
+      if (failure !== -1) {
+        const [{ status, body: failureBody }] = this.failures.splice(failure, 1);
+        return send(status, failureBody);
+      }
+
+      const pathMatches = this.routes.filter((candidate) => candidate.regex.test(url.pathname));
+      const match = pathMatches.find((candidate) => candidate.method === req.method);
+      if (!match) {
+        return send(pathMatches.length ? 405 : 404, { message: pathMatches.length ? 'Method not allowed.' : 'Not found.' });
+      }
+
+      try {
+        const params = url.pathname.match(match.regex).groups || {};
+        send(200, match.handler({ params, query: url.searchParams, body }));
+      } catch (error) {
+        if (error instanceof HttpError) return send(error.status, error.body);
+        send(500, { message: error.message });
+      }
+    });
+  }
+}
+
+// Standalone: `node test/mock-runcloud.js [port]`, then point the server at it
+// with RUNCLOUD_BASE_URL and the test credentials
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = new MockRunCloud();
+  mock.start(Number(process.argv[2] || 0)).then((url) => {
+    console.log(`Mock RunCloud API on ${url} (RUNCLOUD_API_KEY=${API_KEY} RUNCLOUD_API_SECRET=${API_SECRET})`);
+  });
+}
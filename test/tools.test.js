@@ -0,0 +1,182 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './helpers.js';
+
+// One call per tool against the seeded mock state, with the request it must
+// send. `null` marks the tools that answer locally without calling RunCloud.
+const server = { serverId: 1 };
+const webapp = { serverId: 1, webappId: 11 };
+const base = '/servers/1';
+const app = '/servers/1/webapps/11';
+
+const cases = {
+  // Servers
+  list_servers: [{}, 'GET /servers'],
+  get_server: [server, `GET ${base}`],
+  create_server: [{ name: 'new-server', ipAddress: '203.0.113.30' }, 'POST /servers'],
+  delete_server: [server, `DELETE ${base}`],
+  get_server_stats: [server, `GET ${base}/stats`],
+  get_server_hardware_info: [server, `GET ${base}/hardwareInfo`],
+  get_installation_script: [server, `GET ${base}/installationScript`],
+  get_ssh_settings: [server, `GET ${base}/settings/ssh`],
+  update_ssh_settings: [{ ...server, preventRootLogin: true }, `PATCH ${base}/settings/ssh`],
+  update_server_metadata: [{ ...server, name: 'prod-eu-2' }, `PATCH ${base}/settings/meta`],
+  update_server_autoupdate: [{ ...server, securityUpdate: true }, `PATCH ${base}/settings/autoupdate`],
+  list_php_versions: [server, `GET ${base}/php/version`],
+  change_php_cli_version: [{ ...server, phpVersion: 'php82' }, `PATCH ${base}/php/cli`],
+  list_shared_servers: [{}, 'GET /servers/shared'],
+
+  // Web applications
+  list_webapps: [server, `GET ${base}/webapps`],
+  get_webapp: [webapp, `GET ${app}`],
+  create_webapp: [{ ...server, name: 'landing', domainName: 'landing.example.com', user: 31 }, `POST ${base}/webapps/custom`],
+  delete_webapp: [webapp, `DELETE ${app}`],
+  set_webapp_default: [webapp, `POST ${app}/default`],
+  remove_webapp_default: [webapp, `DELETE ${app}/default`],
+  rebuild_webapp: [webapp, `POST ${app}/rebuild`],
+  update_webapp_settings: [{ ...webapp, stackMode: 'development' }, `PATCH ${app}/settings/fpmnginx`],
+  change_webapp_php_version: [{ ...webapp, phpVersion: 'php82' }, `PATCH ${app}/settings/php`],
+  create_webapp_alias: [{ ...webapp, name: 'shop-alias', domainName: 'alias.example.com', user: 31 }, `POST ${app}/alias`],
+
+  // Git
+  clone_git_repository: [{ ...webapp, provider: 'github', repository: 'acme/shop', branch: 'main' }, `POST ${app}/git`],
+  get_git_info: [webapp, `GET ${app}/git`],
+  change_git_branch: [{ ...webapp, gitId: 71, branch: 'develop' }, `PATCH ${app}/git/71/branch`],
+  deploy_git: [{ ...webapp, gitId: 71 }, `POST ${app}/git/71/deploy`],
+  update_git_deployment_script: [{ ...webapp, gitId: 71, deployScript: 'composer install' }, `PATCH ${app}/git/71/script`],
+  delete_git_repository: [{ ...webapp, gitId: 71 }, `DELETE ${app}/git/71`],
+
+  // Domains
+  list_domains: [webapp, `GET ${app}/domains`],
+  get_domain: [{ ...webapp, domainId: 21 }, `GET ${app}/domains/21`],
+  add_domain: [{ ...webapp, name: 'www.shop.example.com' }, `POST ${app}/domains`],
+  delete_domain: [{ ...webapp, domainId: 21 }, `DELETE ${app}/domains/21`],
+
+  // SSL
+  get_ssl_info: [webapp, `GET ${app}/ssl`],
+  install_ssl: [{ ...webapp, provider: 'letsencrypt' }, `POST ${app}/ssl`],
+  update_ssl: [{ ...webapp, sslId: 81, hsts: true }, `PATCH ${app}/ssl/81`],
+  redeploy_ssl: [{ ...webapp, sslId: 81 }, `PUT ${app}/ssl/81`],
+  delete_ssl: [{ ...webapp, sslId: 81 }, `DELETE ${app}/ssl/81`],
+  get_advanced_ssl_status: [webapp, `GET ${app}/ssl/advanced`],
+  switch_ssl_mode: [{ ...webapp, advancedSSL: true }, `POST ${app}/ssl/advanced`],
+  install_domain_ssl: [{ ...webapp, domainId: 21, provider: 'letsencrypt' }, `POST ${app}/domains/21/ssl/advanced`],
+  get_domain_ssl_info: [{ ...webapp, domainId: 21 }, `GET ${app}/domains/21/ssl/advanced`],
+  update_domain_ssl: [{ ...webapp, domainId: 21, sslId: 82 }, `PATCH ${app}/domains/21/ssl/82`],
+  redeploy_domain_ssl: [{ ...webapp, domainId: 21, sslId: 82 }, `PUT ${app}/domains/21/ssl/82`],
+  delete_domain_ssl: [{ ...webapp, domainId: 21, sslId: 82 }, `DELETE ${app}/domains/21/ssl/82`],
+
+  // Databases
+  list_databases: [server, `GET ${base}/databases`],
+  create_database: [{ ...server, name: 'blog_db' }, `POST ${base}/databases`],
+  delete_database: [{ ...server, databaseId: 41 }, `DELETE ${base}/databases/41`],
+  list_database_users: [server, `GET ${base}/databaseusers`],
+  create_database_user: [{ ...server, username: 'blog', password: 'db-password-1' }, `POST ${base}/databaseusers`],
+  delete_database_user: [{ ...server, userId: 51 }, `DELETE ${base}/databaseusers/51`],
+  update_database_user_password: [{ ...server, userId: 51, password: 'db-password-2' }, `PATCH ${base}/databaseusers/51`],
+  grant_database_access: [{ ...server, userId: 51, databaseId: 41 }, `POST ${base}/databaseusers/51/grant`],
+  revoke_database_access: [{ ...server, userId: 51, databaseId: 41 }, `DELETE ${base}/databaseusers/51/grant/41`],
+
+  // System users and SSH keys
+  list_system_users: [server, `GET ${base}/users`],
+  create_system_user: [{ ...server, username: 'deploy', password: 'user-password-1' }, `POST ${base}/users`],
+  delete_system_user: [{ ...server, userId: 31 }, `DELETE ${base}/users/31`],
+  update_system_user_password: [{ ...server, userId: 31, password: 'user-password-2' }, `PATCH ${base}/users/31`],
+  list_ssh_keys: [{ ...server, userId: 31 }, `GET ${base}/users/31/sshkeys`],
+  add_ssh_key: [{ ...server, userId: 31, label: 'ci', publicKey: 'ssh-ed25519 AAAA ci' }, `POST ${base}/users/31/sshkeys`],
+  delete_ssh_key: [{ ...server, userId: 31, keyId: 91 }, `DELETE ${base}/users/31/sshkeys/91`],
+
+  // Cron and supervisor jobs
+  list_cron_jobs: [webapp, `GET ${app}/cronjobs`],
+  create_cron_job: [{ ...webapp, label: 'backup', command: 'wp db export', user: 'runcloud', cronExpression: '0 3 * * *' }, `POST ${app}/cronjobs`],
+  delete_cron_job: [{ ...webapp, cronId: 101 }, `DELETE ${app}/cronjobs/101`],
+  list_supervisor_jobs: [server, `GET ${base}/supervisorjobs`],
+  create_supervisor_job: [{ ...server, jobName: 'horizon', user: 'runcloud', command: 'php artisan horizon' }, `POST ${base}/supervisorjobs`],
+  delete_supervisor_job: [{ ...server, jobId: 111 }, `DELETE ${base}/supervisorjobs/111`],
+  control_supervisor_job: [{ ...server, jobId: 111, action: 'restart' }, `POST ${base}/supervisorjobs/111`],
+
+  // Services and logs
+  list_services: [server, `GET ${base}/services`],
+  control_service: [{ ...server, serviceName: 'nginx', action: 'restart' }, `POST ${base}/services/nginx`],
+  get_server_logs: [{ ...server, type: 'nginx_error' }, `GET ${base}/logs/nginx_error`],
+  get_webapp_logs: [{ ...webapp, type: 'error' }, `GET ${app}/logs/error`],
+
+  // Script installer
+  get_installed_script: [webapp, `GET ${app}/installer`],
+  remove_installed_script: [{ ...webapp, installerId: 1 }, `DELETE ${app}/installer/1`],
+  install_script: [{ ...webapp, installerId: 1, admin_username: 'admin', admin_password: 'wp-password-1' }, `POST ${app}/installer`],
+
+  // Firewall and Fail2Ban
+  create_firewall_rule: [{ ...server, type: 'port', port: 443 }, `POST ${base}/security/firewalls`],
+  list_firewall_rules: [server, `GET ${base}/security/firewalls`],
+  get_firewall_rule: [{ ...server, firewallId: 61 }, `GET ${base}/security/firewalls/61`],
+  deploy_firewall_rules: [server, `PUT ${base}/security/firewalls`],
+  delete_firewall_rule: [{ ...server, firewallId: 61 }, `DELETE ${base}/security/firewalls/61`],
+  list_blocked_ips: [server, `GET ${base}/security/fail2ban/blockedip`],
+  unblock_ip: [{ ...server, ip: '198.51.100.7' }, `DELETE ${base}/security/fail2ban/blockedip`],
+
+  // Static data
+  list_database_collations: [{}, 'GET /static/databases/collations'],
+  list_timezones: [{}, 'GET /static/timezones'],
+  list_script_installers: [{}, 'GET /static/webapps/installers'],
+  list_ssl_protocols: [{ webServer: 'nginx' }, 'GET /static/ssl/protocols'],
+  health_check: [{}, 'GET /ping'],
+
+  // 3rd party API keys
+  create_external_api_key: [{ label: 'DNS', service: 'cloudflare', secret: 'cf-secret-2' }, 'POST /settings/externalapi'],
+  list_external_api_keys: [{}, 'GET /settings/externalapi'],
+  get_external_api_key: [{ apiId: 121 }, 'GET /settings/externalapi/121'],
+  update_external_api_key: [{ apiId: 121, label: 'Cloudflare DNS' }, 'PATCH /settings/externalapi/121'],
+  delete_external_api_key: [{ apiId: 121 }, 'DELETE /settings/externalapi/121'],
+
+  // Runtime
+  list_accounts: [{}, null],
+  get_rate_limit_status: [{}, null],
+  get_audit_log: [{}, null],
+  show_config: [{}, null]
+};
+
+describe('every tool against the mock API', () => {
+  let harness;
+  let tools;
+
+  before(async () => {
+    harness = await startHarness();
+    ({ tools } = await harness.client.listTools());
+  });
+
+  after(() => harness.stop());
+
+  beforeEach(() => harness.api.reset());
+
+  it('has a case for every listed tool', () => {
+    assert.deepEqual(tools.map((tool) => tool.name).sort(), Object.keys(cases).sort());
+  });
+
+  for (const [name, [args, expected]] of Object.entries(cases)) {
+    it(name, async () => {
+      const tool = tools.find((candidate) => candidate.name === name);
+      let result = await harness.client.callTool({ name, arguments: args });
+      assert.ok(!result.isError, result.content[0].text);
+
+      // Destructive tools answer with a preview first; nothing is deleted yet
+      if (tool.inputSchema.properties.confirmationToken) {
+        const preview = JSON.parse(result.content[0].text);
+        assert.equal(preview.status, 'confirmation_required');
+        assert.ok(harness.api.requests.every((request) => request.method === 'GET'));
+        result = await harness.client.callTool({
+          name,
+          arguments: { ...args, confirmationToken: preview.confirmationToken }
+        });
+        assert.ok(!result.isError, result.content[0].text);
+      }
+
+      const sent = harness.api.requests.map((request) => `${request.method} ${request.path}`);
+      if (expected === null) {
+        assert.deepEqual(sent, []);
+      } else {
+        assert.equal(sent[sent.length - 1], expected);
+      }
+    });
+  }
+});
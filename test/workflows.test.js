@@ -0,0 +1,652 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import YAML from 'yaml';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { RunCloudErrorCode } from '../src/errors.js';
+import { startHarness, startHttpHarness } from './helpers.js';
+
+describe('workflows', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(() => harness.stop());
+
+  beforeEach(() => harness.api.reset());
+
+  it('creates a web application and finds it by name', async () => {
+    const created = await harness.call('create_webapp', {
+      server: 'prod-eu-1',
+      systemUser: 'runcloud',
+      name: 'landing',
+      domainName: 'landing.example.com'
+    });
+    assert.equal(created.server_user_id, 31);
+
+    const listed = await harness.call('list_webapps', { serverId: 1, fields: ['id', 'name'] });
+    assert.deepEqual(listed.data.map((item) => item.name), ['shop', 'blog', 'landing']);
+
+    const fetched = await harness.call('get_webapp', { server: 'prod-eu-1', webapp: 'landing' });
+    assert.equal(fetched.id, created.id);
+  });
+
+  it('fills in web application defaults and reports them', async () => {
+    const created = await harness.call('create_webapp', {
+      serverId: 1,
+      name: 'landing',
+      domainName: 'landing.example.com',
+      user: 31,
+      timezone: 'Europe/Warsaw'
+    });
+    assert.deepEqual(created.defaultsApplied.phpVersion, { value: 'php83', source: 'newest PHP version on the server' });
+    assert.deepEqual(created.defaultsApplied.memoryLimit, { value: 256, source: 'built-in' });
+    assert.equal(created.defaultsApplied.timezone, undefined);
+    assert.equal(created.defaultsApplied.processManagerStartServers, undefined);
+
+    const { body } = harness.api.requests.find((request) => request.method === 'POST');
+    assert.equal(body.phpVersion, 'php83');
+    assert.equal(body.timezone, 'Europe/Warsaw');
+    assert.equal(body.processManagerStartServers, undefined);
+  });
+
+  it('applies a web application profile', async () => {
+    const args = { serverId: 1, name: 'api', domainName: 'api.example.com', user: 31 };
+    const preview = await harness.call('create_webapp', { ...args, profile: 'laravel', dryRun: true });
+    assert.equal(preview.body.publicPath, '/public');
+    assert.equal(preview.body.processManager, 'dynamic');
+    assert.equal(preview.body.processManagerStartServers, 2);
+    assert.deepEqual(preview.defaultsApplied.publicPath, { value: '/public', source: 'profile laravel' });
+    assert.deepEqual(harness.api.requests.map((request) => `${request.method} ${request.path}`), ['GET /servers/1/php/version']);
+
+    await assert.rejects(
+      harness.client.callTool({ name: 'create_webapp', arguments: { ...args, profile: 'drupal' } }),
+      { code: ErrorCode.InvalidParams, message: /Unknown web application profile "drupal". Available profiles: wordpress, laravel, static/ }
+    );
+  });
+
+  it('deletes only after the confirmation token is returned', async () => {
+    const preview = await harness.call('delete_webapp', { serverId: 1, webappId: 11 });
+    assert.equal(preview.willDelete.webapp.name, 'shop');
+    assert.deepEqual(preview.willDelete.domains.names, ['shop.example.com']);
+    assert.equal(harness.api.state.servers[0].webapps.length, 2);
+
+    await assert.rejects(
+      harness.client.callTool({ name: 'delete_webapp', arguments: { serverId: 1, webappId: 12, confirmationToken: preview.confirmationToken } }),
+      { code: ErrorCode.InvalidParams, message: /Invalid or expired confirmationToken/ }
+    );
+
+    await harness.call('delete_webapp', { serverId: 1, webappId: 11, confirmationToken: preview.confirmationToken });
+    assert.deepEqual(harness.api.state.servers[0].webapps.map((item) => item.name), ['blog']);
+  });
+
+  it('previews every page of what a deletion affects', async () => {
+    const { webapps } = harness.api.state.servers[0];
+    for (let index = 0; index < 20; index += 1) {
+      webapps.push({ ...webapps[1], id: 600 + index, name: `site-${index}` });
+    }
+
+    const preview = await harness.call('delete_system_user', { serverId: 1, userId: 31 });
+    assert.equal(preview.willDelete.ownedWebapps.total, 22);
+    assert.equal(preview.willDelete.ownedWebapps.names.at(-1), 'site-19');
+  });
+
+  it('sends nothing on a dry run', async () => {
+    const preview = await harness.call('create_database_user', {
+      serverId: 1,
+      username: 'blog',
+      password: 'db-password-1',
+      dryRun: true
+    });
+    assert.equal(preview.method, 'POST');
+    assert.equal(preview.path, '/servers/1/databaseusers');
+    assert.equal(preview.body.password, '********');
+    assert.deepEqual(harness.api.requests, []);
+  });
+
+  it('fetches every page of a paginated list', async () => {
+    const { databases } = harness.api.state.servers[0];
+    for (let index = 0; index < 40; index += 1) {
+      databases.push({ id: 500 + index, name: `db_${index}` });
+    }
+
+    const result = await harness.call('list_databases', { serverId: 1, all: true });
+    assert.equal(result.data.length, 41);
+    assert.equal(result.meta.pagination.pages_fetched, 3);
+    assert.equal(result.meta.complete, true);
+  });
+
+  it('reports ambiguous and unknown names', async () => {
+    harness.api.state.servers[1].name = 'prod-eu-1';
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { server: 'prod-eu-1' } }),
+      { code: ErrorCode.InvalidParams, message: /Ambiguous server name "prod-eu-1", it matches 2/ }
+    );
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { server: 'missing' } }),
+      { code: RunCloudErrorCode.NotFound, message: /No server named "missing"/ }
+    );
+  });
+
+  it('maps RunCloud errors to MCP error codes', async () => {
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_webapp', arguments: { serverId: 1, webappId: 999 } }),
+      { code: RunCloudErrorCode.NotFound, message: /RunCloud API error \(404\) on GET \/servers\/1\/webapps\/999/ }
+    );
+
+    harness.api.failNext('POST', '/servers/1/databases', 422, {
+      message: 'The given data was invalid.',
+      errors: { name: ['The name has already been taken.'] }
+    });
+    await assert.rejects(
+      harness.client.callTool({ name: 'create_database', arguments: { serverId: 1, name: 'shop_db' } }),
+      { code: ErrorCode.InvalidParams, message: /name: The name has already been taken\./ }
+    );
+
+    harness.api.failNext('GET', '/servers', 500);
+    await assert.rejects(
+      harness.client.callTool({ name: 'list_servers', arguments: {} }),
+      { code: RunCloudErrorCode.ServerError }
+    );
+  });
+
+  it('rejects arguments that do not match the schema before calling RunCloud', async () => {
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server_logs', arguments: { serverId: 1 } }),
+      { code: ErrorCode.InvalidParams }
+    );
+
+    // IDs that can be given by name are reported with the other problems
+    await assert.rejects(
+      harness.client.callTool({ name: 'create_webapp', arguments: { domainName: 7 } }),
+      {
+        code: ErrorCode.InvalidParams,
+        message: /Invalid arguments for create_webapp: name is required; domainName must be of type string, got number; serverId \(or server\) is required; user \(or systemUser\) is required$/
+      }
+    );
+    assert.deepEqual(harness.api.requests, []);
+  });
+});
+
+describe('output', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(() => harness.stop());
+
+  beforeEach(() => harness.api.reset());
+
+  it('masks secrets in responses', async () => {
+    const key = await harness.call('get_external_api_key', { apiId: 121 });
+    assert.equal(key.secret, '********');
+    assert.equal(key.username, 'ops@example.com');
+  });
+
+  it('refuses to reveal secrets unless allowed', async () => {
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_external_api_key', arguments: { apiId: 121, revealSecrets: true } }),
+      { code: ErrorCode.InvalidRequest, message: /RUNCLOUD_ALLOW_REVEAL_SECRETS/ }
+    );
+  });
+
+  it('renders markdown tables with the selected fields', async () => {
+    const text = await harness.callText('list_servers', { format: 'markdown', fields: ['id', 'name'] });
+    assert.match(text, /^\| id \| name \|\n\| --- \| --- \|\n\| 1 \| prod-eu-1 \|\n\| 2 \| staging \|/);
+  });
+
+  it('renders yaml', async () => {
+    const text = await harness.callText('get_server', { serverId: 1, format: 'yaml' });
+    assert.match(text, /^id: 1\nname: prod-eu-1\nipAddress: 203\.0\.113\.10\n/);
+  });
+
+  it('quotes yaml strings that would read back as another type', async () => {
+    Object.assign(harness.api.state.servers[0], { name: '.inf', provider: 'yes' });
+    const text = await harness.callText('get_server', { serverId: 1, format: 'yaml' });
+    assert.deepEqual(YAML.parse(text), await harness.call('get_server', { serverId: 1 }));
+  });
+});
+
+describe('policy', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ RUNCLOUD_READ_ONLY: 'true', RUNCLOUD_TOOLS_DENY: 'get_installation_script,get_webapp_logs' });
+  });
+
+  after(() => harness.stop());
+
+  it('only lists read tools in read-only mode', async () => {
+    const { tools } = await harness.client.listTools();
+    const names = tools.map((tool) => tool.name);
+    assert.ok(names.includes('list_servers'));
+    assert.ok(!names.includes('create_webapp'));
+    assert.ok(!names.includes('delete_server'));
+    assert.ok(!names.includes('get_installation_script'));
+  });
+
+  it('refuses mutating and denied tools without calling RunCloud', async () => {
+    await assert.rejects(
+      harness.client.callTool({ name: 'delete_server', arguments: { serverId: 1 } }),
+      { code: ErrorCode.InvalidRequest }
+    );
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_installation_script', arguments: { serverId: 1 } }),
+      { code: ErrorCode.InvalidRequest }
+    );
+    assert.deepEqual(harness.api.requests, []);
+  });
+
+  it('does not serve resources of denied tools', async () => {
+    const { resourceTemplates } = await harness.client.listResourceTemplates();
+    assert.ok(resourceTemplates.some((template) => template.name === 'webapp'));
+    assert.ok(!resourceTemplates.some((template) => template.name === 'webapp-logs'));
+
+    await assert.rejects(
+      harness.client.readResource({ uri: 'runcloud://servers/1/webapps/11/logs/error' }),
+      { code: ErrorCode.InvalidRequest, message: /get_webapp_logs is disabled by configuration/ }
+    );
+    assert.deepEqual(harness.api.requests, []);
+  });
+
+  it('rejects a wrong API secret', async () => {
+    const other = await startHarness({ RUNCLOUD_API_SECRET: 'wrong-secret' });
+    try {
+      await assert.rejects(
+        other.client.callTool({ name: 'list_servers', arguments: {} }),
+        { code: RunCloudErrorCode.AuthenticationFailed }
+      );
+    } finally {
+      await other.stop();
+    }
+  });
+});
+
+describe('audit log', () => {
+  let dir;
+  let harness;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runcloud-audit-'));
+    harness = await startHarness({ RUNCLOUD_AUDIT_LOG: path.join(dir, 'audit.jsonl') });
+  });
+
+  after(async () => {
+    await harness.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds calls made by name when querying by ID', async () => {
+    await harness.call('get_webapp', { server: 'prod-eu-1', webapp: 'shop' });
+    await harness.call('get_webapp', { serverId: 1, webappId: 11 });
+
+    const { entries } = await harness.call('get_audit_log', { tool: 'get_webapp', serverId: 1, webappId: 11 });
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[1].args, { server: 'prod-eu-1', webapp: 'shop', serverId: 1, webappId: 11 });
+  });
+
+  it('records the outcome, status and masked arguments of each call', async () => {
+    await harness.call('create_database_user', { serverId: 1, username: 'blog', password: 'db-password-1', dryRun: true });
+    harness.api.failNext('GET', '/servers/2', 500);
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { serverId: 2 } }),
+      { code: RunCloudErrorCode.ServerError }
+    );
+
+    const [dryRun] = (await harness.call('get_audit_log', { tool: 'create_database_user' })).entries;
+    assert.equal(dryRun.outcome, 'dry_run');
+    assert.equal(dryRun.args.password, '********');
+    assert.deepEqual(dryRun.request, { method: 'POST', path: '/servers/1/databaseusers' });
+
+    const { entries } = await harness.call('get_audit_log', { serverId: 2, outcome: 'error' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].tool, 'get_server');
+    assert.equal(entries[0].status, 500);
+    assert.match(entries[0].result.error, /Mock failure 500/);
+  });
+
+  it('records resource reads as calls of their tool', async () => {
+    await harness.client.readResource({ uri: 'runcloud://servers/2/webapps' });
+
+    const [entry] = (await harness.call('get_audit_log', { tool: 'list_webapps', serverId: 2 })).entries;
+    assert.equal(entry.outcome, 'success');
+    assert.deepEqual(entry.args, { serverId: 2, all: true });
+  });
+});
+
+describe('retries', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ RUNCLOUD_RETRIES: '2', RUNCLOUD_RETRY_BASE_DELAY: '10', RUNCLOUD_RETRY_MAX_DELAY: '50' });
+  });
+
+  after(() => harness.stop());
+
+  beforeEach(() => harness.api.reset());
+
+  const sent = () => harness.api.requests.map((request) => `${request.method} ${request.path}`);
+
+  it('retries transient failures of reads', async () => {
+    harness.api.failNext('GET', '/servers/1', 503);
+    harness.api.failNext('GET', '/servers/1', 502);
+    const server = await harness.call('get_server', { serverId: 1 });
+    assert.equal(server.name, 'prod-eu-1');
+    assert.deepEqual(sent(), ['GET /servers/1', 'GET /servers/1', 'GET /servers/1']);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    for (let attempt = 0; attempt < 3; attempt += 1) harness.api.failNext('GET', '/servers/1', 503);
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { serverId: 1 } }),
+      { code: RunCloudErrorCode.ServerError }
+    );
+    assert.equal(sent().length, 3);
+  });
+
+  it('does not retry client errors or POST requests', async () => {
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { serverId: 999 } }),
+      { code: RunCloudErrorCode.NotFound }
+    );
+    harness.api.failNext('POST', '/servers/1/databases', 503);
+    await assert.rejects(
+      harness.client.callTool({ name: 'create_database', arguments: { serverId: 1, name: 'blog_db' } }),
+      { code: RunCloudErrorCode.ServerError }
+    );
+    assert.deepEqual(sent(), ['GET /servers/999', 'POST /servers/1/databases']);
+  });
+});
+
+describe('rate limiter', () => {
+  let harness;
+
+  before(async () => {
+    // A bucket of 30 requests, refilled with one every 2 seconds
+    harness = await startHarness({ RUNCLOUD_RATE_LIMIT: '30' });
+  });
+
+  after(() => harness.stop());
+
+  it('queues requests over budget instead of failing them', async () => {
+    const startedAt = Date.now();
+    const results = await Promise.all(
+      Array.from({ length: 31 }, () => harness.client.callTool({ name: 'get_server', arguments: { serverId: 1 } }))
+    );
+    assert.ok(results.every((result) => !result.isError));
+    assert.ok(Date.now() - startedAt >= 1000, 'the request over budget waited for a token');
+
+    const status = await harness.call('get_rate_limit_status');
+    assert.equal(status.requestsPerMinute, 30);
+    assert.equal(status.usedLastMinute, 31);
+    assert.equal(status.available, 0);
+    assert.equal(status.queued, 0);
+    assert.ok(status.averageWaitMs > 0);
+  });
+});
+
+describe('response cache', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ RUNCLOUD_CACHE: 'true', RUNCLOUD_NAME_CACHE_TTL: '1' });
+  });
+
+  after(() => harness.stop());
+
+  beforeEach(() => harness.api.reset());
+
+  const sent = () => harness.api.requests.map((request) => `${request.method} ${request.path}`);
+
+  it('serves repeated reads of cacheable tools from the cache', async () => {
+    const first = await harness.call('list_php_versions', { serverId: 2 });
+    assert.deepEqual(await harness.call('list_php_versions', { serverId: 2 }), first);
+    assert.deepEqual(sent(), ['GET /servers/2/php/version']);
+
+    await harness.call('list_php_versions', { serverId: 2, cache: false });
+    assert.equal(sent().length, 2);
+  });
+
+  it('drops cached responses under the path of a mutation', async () => {
+    await harness.call('list_php_versions', { serverId: 1, cache: false });
+    await harness.call('change_php_cli_version', { serverId: 1, phpVersion: 'php82' });
+    await harness.call('list_php_versions', { serverId: 1 });
+    assert.deepEqual(sent(), ['GET /servers/1/php/version', 'PATCH /servers/1/php/cli', 'GET /servers/1/php/version']);
+  });
+
+  it('expires name lookups after their TTL', async () => {
+    await harness.call('get_server', { server: 'staging' });
+    await harness.call('get_server', { server: 'staging' });
+    assert.deepEqual(sent(), ['GET /servers', 'GET /servers/2', 'GET /servers/2']);
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    await harness.call('get_server', { server: 'staging' });
+    assert.deepEqual(sent().slice(3), ['GET /servers', 'GET /servers/2']);
+  });
+});
+
+describe('accounts', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({
+      RUNCLOUD_ACCOUNT_CLIENT_A_API_KEY: 'test-key',
+      RUNCLOUD_ACCOUNT_CLIENT_A_API_SECRET: 'revoked-secret',
+      RUNCLOUD_ACCOUNT_CLIENT_A_LABEL: 'Client A'
+    });
+  });
+
+  after(() => harness.stop());
+
+  it('lists the configured accounts', async () => {
+    const accounts = await harness.call('list_accounts');
+    assert.deepEqual(accounts.map(({ name, label, default: isDefault }) => ({ name, label, isDefault })), [
+      { name: 'default', label: 'default', isDefault: true },
+      { name: 'client_a', label: 'Client A', isDefault: false }
+    ]);
+  });
+
+  it('sends each call with the credentials of the selected account', async () => {
+    assert.equal((await harness.call('get_server', { serverId: 1 })).name, 'prod-eu-1');
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { serverId: 1, account: 'client_a' } }),
+      { code: RunCloudErrorCode.AuthenticationFailed }
+    );
+  });
+
+  it('rejects unknown accounts without calling RunCloud', async () => {
+    harness.api.reset();
+    await assert.rejects(
+      harness.client.callTool({ name: 'get_server', arguments: { serverId: 1, account: 'client_b' } }),
+      { code: ErrorCode.InvalidParams, message: /Unknown RunCloud account: client_b. Available accounts: default, client_a/ }
+    );
+    assert.deepEqual(harness.api.requests, []);
+  });
+});
+
+describe('resources', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(() => harness.stop());
+
+  const read = async (uri) => JSON.parse((await harness.client.readResource({ uri })).contents[0].text);
+
+  it('lists the servers and the resource templates', async () => {
+    const { resources } = await harness.client.listResources();
+    assert.deepEqual(resources.map((resource) => resource.uri), ['runcloud://servers', 'runcloud://servers/1', 'runcloud://servers/2']);
+    assert.equal(resources[1].name, 'prod-eu-1');
+
+    const { resourceTemplates } = await harness.client.listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map((template) => template.name), ['servers', 'server', 'webapps', 'webapp', 'webapp-logs']);
+  });
+
+  it('lists only what the configuration and RunCloud allow', async () => {
+    harness.api.failNext('GET', '/servers', 500);
+    const failed = await harness.client.listResources();
+    assert.deepEqual(failed.resources.map((resource) => resource.uri), ['runcloud://servers']);
+
+    const denied = await startHarness({ RUNCLOUD_TOOLS_DENY: 'list_servers' });
+    try {
+      assert.deepEqual((await denied.client.listResources()).resources, []);
+      assert.deepEqual(denied.api.requests, []);
+    } finally {
+      await denied.stop();
+    }
+
+    const getOnly = await startHarness({ RUNCLOUD_TOOLS_ALLOW: 'get_*' });
+    try {
+      assert.deepEqual((await getOnly.client.listResources()).resources, []);
+      const { resourceTemplates } = await getOnly.client.listResourceTemplates();
+      assert.deepEqual(resourceTemplates.map((template) => template.name), ['server', 'webapp', 'webapp-logs']);
+    } finally {
+      await getOnly.stop();
+    }
+  });
+
+  it('reads a resource through its tool', async () => {
+    assert.deepEqual(await read('runcloud://servers/1/webapps/11'), await harness.call('get_webapp', { serverId: 1, webappId: 11 }));
+
+    const logs = await read('runcloud://servers/1/webapps/11/logs/error?lines=2');
+    assert.deepEqual(logs.lines, ['error line 1', 'error line 2']);
+  });
+
+  it('rejects unknown URIs and invalid arguments', async () => {
+    await assert.rejects(
+      harness.client.readResource({ uri: 'runcloud://databases/1' }),
+      { code: ErrorCode.InvalidParams, message: /Unknown resource: runcloud:\/\/databases\/1/ }
+    );
+    await assert.rejects(
+      harness.client.readResource({ uri: 'runcloud://servers/1/webapps/11/logs/debug' }),
+      { code: ErrorCode.InvalidParams }
+    );
+    await assert.rejects(
+      harness.client.readResource({ uri: 'runcloud://servers/1?account=client_b' }),
+      { code: ErrorCode.InvalidParams, message: /Unknown RunCloud account: client_b/ }
+    );
+  });
+});
+
+describe('prompts', () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+
+  after(() => harness.stop());
+
+  it('lists the runbooks', async () => {
+    const { prompts } = await harness.client.listPrompts();
+    assert.deepEqual(prompts.map((prompt) => prompt.name), ['deploy_wordpress_site', 'diagnose_502', 'harden_server']);
+  });
+
+  it('fills in the arguments of a runbook', async () => {
+    const { messages } = await harness.client.getPrompt({
+      name: 'diagnose_502',
+      arguments: { server: 'prod-eu-1', webapp: '11' }
+    });
+    assert.equal(messages[0].role, 'user');
+    assert.match(messages[0].content.text, /server: "prod-eu-1"/);
+    assert.match(messages[0].content.text, /webappId 11/);
+  });
+
+  it('rejects missing arguments and unknown prompts', async () => {
+    await assert.rejects(
+      harness.client.getPrompt({ name: 'harden_server', arguments: {} }),
+      { code: ErrorCode.InvalidParams, message: /Missing required arguments for prompt harden_server: server/ }
+    );
+    await assert.rejects(
+      harness.client.getPrompt({ name: 'migrate_site', arguments: {} }),
+      { code: ErrorCode.InvalidParams, message: /Unknown prompt: migrate_site/ }
+    );
+  });
+
+  it('hides runbooks that change resources in read-only mode', async () => {
+    const readOnly = await startHarness({ RUNCLOUD_READ_ONLY: 'true' });
+    try {
+      const { prompts } = await readOnly.client.listPrompts();
+      assert.deepEqual(prompts.map((prompt) => prompt.name), ['diagnose_502']);
+      await assert.rejects(
+        readOnly.client.getPrompt({ name: 'deploy_wordpress_site', arguments: { server: '1', domain: 'example.com' } }),
+        { code: ErrorCode.InvalidRequest, message: /read-only mode/ }
+      );
+    } finally {
+      await readOnly.stop();
+    }
+  });
+});
+
+describe('http transport', () => {
+  const token = 'test-token';
+  let harness;
+
+  before(async () => {
+    harness = await startHttpHarness({ RUNCLOUD_MCP_TOKEN: token });
+  });
+
+  after(() => harness.stop());
+
+  const listTools = { jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} };
+
+  function post(headers, body) {
+    return fetch(harness.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function connect() {
+    const transport = new StreamableHTTPClientTransport(new URL(harness.url), {
+      requestInit: { headers: { Authorization: `Bearer ${token}` } }
+    });
+    const client = new Client({ name: 'runcloud-mcp-tests', version: '1.0.0' });
+    await client.connect(transport);
+    return { client, transport };
+  }
+
+  it('rejects requests without the bearer token', async () => {
+    const missing = await post({}, listTools);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+    const wrong = await post({ Authorization: 'Bearer wrong-token' }, listTools);
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(harness.api.requests, []);
+  });
+
+  it('serves tools to an authenticated session', async () => {
+    const { client, transport } = await connect();
+    try {
+      assert.ok(transport.sessionId);
+      const result = await client.callTool({ name: 'list_servers', arguments: { fields: ['name'] } });
+      assert.deepEqual(JSON.parse(result.content[0].text).data, [{ name: 'prod-eu-1' }, { name: 'staging' }]);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('requires an initialized, open session', async () => {
+    const auth = { Authorization: `Bearer ${token}` };
+    assert.equal((await post(auth, listTools)).status, 400);
+    assert.equal((await post({ ...auth, 'Mcp-Session-Id': 'no-such-session' }, listTools)).status, 404);
+
+    const { client, transport } = await connect();
+    const { sessionId } = transport;
+    await transport.terminateSession();
+    await client.close();
+    assert.equal((await post({ ...auth, 'Mcp-Session-Id': sessionId }, listTools)).status, 404);
+  });
+});